@@ -4,11 +4,200 @@
  * Exports a set of "action creators" that mutate the state draft.
  * Also writes file contents to localforage if needed.
  */
-import { contentsDB, calculateTokens } from './helpers.js';
+import { contentsDB, calculateTokens, createWorkspace, findNode } from './helpers.js';
+import { prepareDocuments } from './documents.js';
+import { expandPrompt, promptVariables } from './prompts.js';
+import { ORDER_MODES } from './ordering.js';
 
 export const actions = {
+  /**
+   * Add a root folder to the workspace, or replace the root with the same name.
+   */
   setRoot: (root) => async (state) => {
-    state.root = root;
+    if (!state.root) {
+      state.root = createWorkspace();
+    }
+    const idx = state.root.children.findIndex((r) => r.name === root.name);
+    if (idx === -1) {
+      state.root.children.push(root);
+    } else {
+      state.root.children[idx] = root;
+    }
+  },
+
+  /**
+   * Remove a root folder with its selections, expansions, contents and handle.
+   */
+  removeRoot: (name) => async (state) => {
+    if (!state.root) return;
+    state.root.children = state.root.children.filter((r) => r.name !== name);
+    const inRoot = (p) => p === name || p.startsWith(`${name}/`);
+    state.selectedPaths = new Set([...state.selectedPaths].filter((p) => !inRoot(p)));
+    state.expandedNodes = new Set([...state.expandedNodes].filter((p) => !inRoot(p)));
+    for (const path of Object.keys(state.fileContents)) {
+      if (inRoot(path)) delete state.fileContents[path];
+    }
+    for (const key of await contentsDB.keys()) {
+      if (inRoot(key)) await contentsDB.removeItem(key);
+    }
+    delete state.directoryHandles[name];
+    if (!state.root.children.length) {
+      state.root = null;
+    }
+  },
+
+  /**
+   * Remember the directory handle of a root folder (null when there is none).
+   */
+  setDirectoryHandle: (rootName, handle) => async (state) => {
+    if (handle) {
+      state.directoryHandles[rootName] = handle;
+    } else {
+      delete state.directoryHandles[rootName];
+    }
+  },
+
+  /**
+   * Decode the file at `path` with `encoding` instead of the detected one (null to undo).
+   * Like the other ways of changing how a file is read, this clears its parse error.
+   */
+  setEncodingOverride: (path, encoding) => async (state) => {
+    const node = findNode(state.root, path);
+    if (!node) return;
+    delete node.parseError;
+    if (encoding) {
+      node.encodingOverride = encoding;
+    } else {
+      delete node.encodingOverride;
+    }
+  },
+
+  /**
+   * Only read the pages in `range` (e.g. "3-5, 10") of the PDF at `path` ('' for all).
+   */
+  setPageRange: (path, range) => async (state) => {
+    const node = findNode(state.root, path);
+    if (!node) return;
+    delete node.parseError;
+    if (range) {
+      node.pageRange = range;
+    } else {
+      delete node.pageRange;
+    }
+  },
+
+  /**
+   * Record the files that failed to parse (path -> error message, null to clear).
+   */
+  setParseErrors: (errors) => async (state) => {
+    for (const [path, message] of Object.entries(errors)) {
+      const node = findNode(state.root, path);
+      if (!node) continue;
+      if (message) {
+        node.parseError = message;
+      } else {
+        delete node.parseError;
+      }
+    }
+  },
+
+  /**
+   * Read the file at `path` as plain text instead of with its parser (false to undo).
+   * Either way its parse error is cleared, so it gets another try.
+   */
+  setRawText: (path, raw) => async (state) => {
+    const node = findNode(state.root, path);
+    if (!node) return;
+    delete node.parseError;
+    if (raw) {
+      node.rawText = true;
+    } else {
+      delete node.rawText;
+    }
+  },
+
+  /**
+   * Record what a second look at a file that couldn't be read at scan time found
+   * (see the detect task in parse-tasks.js), clearing its error.
+   */
+  setDetected: (path, { isText, encoding, parser }) => async (state) => {
+    const node = findNode(state.root, path);
+    if (!node) return;
+    delete node.parseError;
+    node.isTextFile = isText;
+    if (encoding) node.encoding = encoding;
+    if (parser) node.parser = parser;
+  },
+
+  /**
+   * Outline every file that can be outlined, or none (files with a mode of their own keep it).
+   */
+  setOutlineAll: (outlineAll) => async (state) => {
+    state.outlineAll = outlineAll;
+  },
+
+  /**
+   * Number the lines of every document (true) or not.
+   */
+  setLineNumbers: (lineNumbers) => async (state) => {
+    state.lineNumbers = lineNumbers;
+  },
+
+  /**
+   * Write the prompt as `format` ('xml', 'markdown', 'json', 'plain' or 'custom', see formats.js).
+   */
+  setOutputFormat: (format) => async (state) => {
+    state.outputFormat = format;
+  },
+
+  /**
+   * Use `template` ({ folder, document, separator }) for the custom format, or the default (null).
+   */
+  setOutputTemplate: (template) => async (state) => {
+    state.outputTemplate = template;
+  },
+
+  /**
+   * Order the files in the prompt by `mode` (one of ORDER_MODES in ordering.js).
+   */
+  setDocumentOrder: (mode) => async (state) => {
+    state.documentOrder = ORDER_MODES.includes(mode) ? mode : 'tree';
+  },
+
+  /**
+   * Order the files in the prompt as `paths`, arranged by hand.
+   */
+  setManualOrder: (paths) => async (state) => {
+    state.documentOrder = 'manual';
+    state.manualOrder = paths;
+  },
+
+  /**
+   * Split the output into parts of at most `tokens` tokens (0 or less for a single output).
+   */
+  setPartBudget: (tokens) => async (state) => {
+    state.partBudget = Math.max(0, Math.floor(tokens) || 0);
+  },
+
+  /**
+   * Update the prompt around the output with `changes` ({ template, preamble, postamble, task }).
+   */
+  setPrompt: (changes) => async (state) => {
+    state.prompt = { ...state.prompt, ...changes };
+  },
+
+  /**
+   * Outline the file at `path` (true), include it in full (false), or follow
+   * the global mode again (null).
+   */
+  setOutline: (path, outline) => async (state) => {
+    const node = findNode(state.root, path);
+    if (!node) return;
+    if (outline === null) {
+      delete node.outline;
+    } else {
+      node.outline = outline;
+    }
   },
 
   bulkSelectPaths: (pathsToSelect = [], pathsToDeselect = []) => async (state) => {
@@ -52,18 +241,47 @@ export const actions = {
     await contentsDB.setItem(path, content);
   },
 
+  /**
+   * Store many file contents at once (path -> text). With `persist` false they
+   * only go to memory (e.g. when they just came out of localforage).
+   */
+  setFileContentsBatch: (contents, persist = true) => async (state) => {
+    for (const [path, content] of Object.entries(contents)) {
+      state.fileContents[path] = content;
+      if (persist) {
+        await contentsDB.setItem(path, content);
+      }
+    }
+  },
+
+  /**
+   * Drop cached contents of files that no longer exist.
+   */
+  removeFileContents: (paths) => async (state) => {
+    for (const path of paths) {
+      delete state.fileContents[path];
+      await contentsDB.removeItem(path);
+    }
+  },
+
   updateStats: () => async (state) => {
     state.stats.selectedCount = state.selectedPaths.size;
-    state.stats.totalTokens = calculateTokens(state.fileContents, state.selectedPaths);
+    state.stats.documentTokens = calculateTokens(prepareDocuments(state));
+    // The preamble and postamble are sent too
+    const { preamble, postamble } = expandPrompt(state.prompt, promptVariables(state, state.stats.documentTokens));
+    state.stats.totalTokens =
+      state.stats.documentTokens + calculateTokens([{ content: preamble }, { content: postamble }]);
   },
 
   reset: () => async (state) => {
     // Clear everything
     state.root = null;
+    state.directoryHandles = {};
     state.selectedPaths = new Set();
     state.fileContents = {};
     state.expandedNodes = new Set();
     state.stats.selectedCount = 0;
+    state.stats.documentTokens = 0;
     state.stats.totalTokens = 0;
 
     // Also clear the contents DB
@@ -0,0 +1,276 @@
+/**
+ * archive.js
+ *
+ * Client-side reading of .zip, .tar and .tar.gz / .tgz archives, so they can be
+ * browsed as virtual folders: the entries of `app.zip` become `app.zip/src/index.js`.
+ * Decompression uses the browser's DecompressionStream (deflate-raw / gzip).
+ */
+
+const ARCHIVE_PATTERN = /\.(zip|tar|tgz|tar\.gz)$/i;
+
+/**
+ * Check if a file is an archive we can open, by extension
+ */
+export function isArchive(filename) {
+  if (!filename) return false;
+  return ARCHIVE_PATTERN.test(filename);
+}
+
+/**
+ * Expand an archive into scan entries ({ file, path, extract }) prefixed with
+ * `prefix` (usually the archive's own path), leaving out those `filter(path)`
+ * rejects. Nothing is decompressed here: `file` only holds the member's
+ * { name, size, lastModified }, and `extract()` resolves to the File itself.
+ */
+export async function expandArchive(file, prefix, { filter = () => true } = {}) {
+  const entries = [];
+  for (const entry of await listArchive(file)) {
+    const path = `${prefix}/${entry.path}`;
+    if (!filter(path)) continue;
+    const { size, lastModified, toFile } = entry;
+    entries.push({ file: { name: baseName(entry.path), size, lastModified }, path, extract: toFile });
+  }
+  return entries;
+}
+
+/**
+ * List the regular files of an archive:
+ * [{ path, size, lastModified, toFile() }]
+ */
+export async function listArchive(file) {
+  const lower = file.name.toLowerCase();
+  if (lower.endsWith('.zip')) {
+    return listZipFile(file);
+  }
+  if (lower.endsWith('.tgz') || lower.endsWith('.tar.gz')) {
+    return listTar(await decompress(file, 'gzip'));
+  }
+  return listTar(new Uint8Array(await file.arrayBuffer()));
+}
+
+/**
+ * List the files of a zip container, whatever its extension (.docx, .odt...).
+ */
+export async function listZipFile(file) {
+  return listZip(new Uint8Array(await file.arrayBuffer()));
+}
+
+/**
+ * Make an archive member path safe to use as a virtual path:
+ * forward slashes, no leading slash, no "." or ".." segments.
+ */
+function normalizePath(name) {
+  return name
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter((part) => part && part !== '.' && part !== '..')
+    .join('/');
+}
+
+function baseName(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+async function decompress(data, format) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/* ----------------------------------------------------------------------------
+ * ZIP
+ * ------------------------------------------------------------------------- */
+
+const ZIP_EOCD = 0x06054b50;
+const ZIP_CENTRAL = 0x02014b50;
+const ZIP_LOCAL = 0x04034b50;
+
+function dosDateTimeToMs(date, time) {
+  const year = ((date >> 9) & 0x7f) + 1980;
+  const month = ((date >> 5) & 0x0f) - 1;
+  const day = date & 0x1f;
+  const hours = (time >> 11) & 0x1f;
+  const minutes = (time >> 5) & 0x3f;
+  const seconds = (time & 0x1f) * 2;
+  return new Date(year, month, day, hours, minutes, seconds).getTime();
+}
+
+function listZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end-of-central-directory record sits in the last 64 KB + 22 bytes
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === ZIP_EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a zip archive (no central directory)');
+  }
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = [];
+  const utf8 = new TextDecoder('utf-8');
+  const latin1 = new TextDecoder('latin1');
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const time = view.getUint16(offset + 12, true);
+    const date = view.getUint16(offset + 14, true);
+    let compressedSize = view.getUint32(offset + 20, true);
+    let size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    let localOffset = view.getUint32(offset + 42, true);
+    const nameBytes = bytes.subarray(offset + 46, offset + 46 + nameLength);
+    // Bit 11: the name is UTF-8; otherwise it's (roughly) code page 437
+    const name = (flags & 0x0800 ? utf8 : latin1).decode(nameBytes);
+
+    // Zip64 sizes/offsets live in the 0x0001 extra field
+    let extra = offset + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = view.getUint16(extra, true);
+      const length = view.getUint16(extra + 2, true);
+      if (id === 0x0001) {
+        let p = extra + 4;
+        if (size === 0xffffffff) {
+          size = Number(view.getBigUint64(p, true));
+          p += 8;
+        }
+        if (compressedSize === 0xffffffff) {
+          compressedSize = Number(view.getBigUint64(p, true));
+          p += 8;
+        }
+        if (localOffset === 0xffffffff) {
+          localOffset = Number(view.getBigUint64(p, true));
+        }
+      }
+      extra += 4 + length;
+    }
+
+    offset = extraEnd + commentLength;
+
+    const path = normalizePath(name);
+    if (!path || name.endsWith('/')) continue;
+
+    entries.push({
+      path,
+      size,
+      lastModified: dosDateTimeToMs(date, time),
+      toFile: async () => {
+        if (view.getUint32(localOffset, true) !== ZIP_LOCAL) {
+          throw new Error(`Corrupt zip entry: ${path}`);
+        }
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const start = localOffset + 30 + localNameLength + localExtraLength;
+        const data = bytes.subarray(start, start + compressedSize);
+        let content;
+        if (method === 0) {
+          content = data;
+        } else if (method === 8) {
+          content = await decompress(data, 'deflate-raw');
+        } else {
+          throw new Error(`Unsupported zip compression method ${method}: ${path}`);
+        }
+        return new File([content], baseName(path), {
+          lastModified: dosDateTimeToMs(date, time),
+        });
+      },
+    });
+  }
+  return entries;
+}
+
+/* ----------------------------------------------------------------------------
+ * TAR (ustar, GNU long names, pax headers)
+ * ------------------------------------------------------------------------- */
+
+function readString(bytes, start, length) {
+  const slice = bytes.subarray(start, start + length);
+  const end = slice.indexOf(0);
+  return new TextDecoder('utf-8').decode(end === -1 ? slice : slice.subarray(0, end));
+}
+
+function readOctal(bytes, start, length) {
+  // Large values use base-256: high bit of the first byte set
+  if (bytes[start] & 0x80) {
+    let value = bytes[start] & 0x7f;
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + bytes[start + i];
+    }
+    return value;
+  }
+  const text = readString(bytes, start, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function parsePax(text) {
+  const records = {};
+  for (const line of text.split('\n')) {
+    const match = line.match(/^\d+ ([^=]+)=(.*)$/);
+    if (match) records[match[1]] = match[2];
+  }
+  return records;
+}
+
+function listTar(bytes) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+  let pax = {};
+
+  while (offset + 512 <= bytes.length) {
+    // Two zero blocks mark the end; one is enough to stop
+    if (bytes.subarray(offset, offset + 512).every((b) => b === 0)) break;
+
+    const size = readOctal(bytes, offset + 124, 12);
+    const mtime = readOctal(bytes, offset + 136, 12);
+    const type = String.fromCharCode(bytes[offset + 156] || 48);
+    const magic = readString(bytes, offset + 257, 6);
+    let name = readString(bytes, offset + 0, 100);
+    if (magic.startsWith('ustar')) {
+      const prefix = readString(bytes, offset + 345, 155);
+      if (prefix) name = `${prefix}/${name}`;
+    }
+    const dataStart = offset + 512;
+    const data = bytes.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = readString(data, 0, data.length);
+      continue;
+    }
+    if (type === 'x') {
+      pax = parsePax(new TextDecoder('utf-8').decode(data));
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const fullName = pax.path || longName || name;
+    const lastModified = (pax.mtime ? parseFloat(pax.mtime) : mtime) * 1000;
+    longName = null;
+    pax = {};
+
+    // Only regular files ('0', NUL in old archives, '7' contiguous)
+    if (type !== '0' && type !== '7') continue;
+    const path = normalizePath(fullName);
+    if (!path) continue;
+
+    entries.push({
+      path,
+      size,
+      lastModified,
+      toFile: async () => new File([data], baseName(path), { lastModified }),
+    });
+  }
+  return entries;
+}
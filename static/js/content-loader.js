@@ -0,0 +1,213 @@
+/**
+ * content-loader.js
+ *
+ * Reads file contents on demand, when a path gets selected, instead of during the scan.
+ *   1) contentsDB acts as a cache of already-parsed contents
+ *   2) otherwise the file is read from the File objects of the last scan, or from
+ *      its root folder's directory handle (which also works in a reopened session).
+ *      Files inside an opened archive are extracted from the archive file.
+ * Parsing goes through the worker pool; contents reach the store in batches.
+ * A file that fails to parse doesn't stop the others: its error is recorded on
+ * its tree node (`parseError`) and it isn't tried again until the user retries.
+ */
+import { actions } from './actions.js';
+import { contentsDB, findRoot, findNode } from './helpers.js';
+import { fileFromDirectoryHandle, verifyPermission } from './sources.js';
+import { listArchive } from './archive.js';
+
+// How many loaded files we collect before writing them to the store
+const LOAD_BATCH_SIZE = 20;
+
+export class ContentLoader {
+  constructor(store, pool, { onProgress = () => {} } = {}) {
+    this.store = store;
+    this.pool = pool;
+    this.onProgress = onProgress;
+    this.files = new Map(); // path -> File from the last scan of each root
+    this.inFlight = new Set();
+    this.archives = new Map(); // archive path -> Promise of its listing
+  }
+
+  /**
+   * Remember the files of a fresh scan of the root folder `rootName`.
+   */
+  setSources(rootName, entries) {
+    this.removeSources(rootName);
+    this.addSources(entries);
+  }
+
+  /**
+   * Forget the files of `rootName` (every root when omitted).
+   */
+  removeSources(rootName) {
+    if (rootName === undefined) {
+      this.files.clear();
+      this.archives.clear();
+      return;
+    }
+    for (const map of [this.files, this.archives]) {
+      for (const path of [...map.keys()]) {
+        if (path === rootName || path.startsWith(`${rootName}/`)) map.delete(path);
+      }
+    }
+  }
+
+  /**
+   * Add the files of a scan merged into the current tree.
+   */
+  addSources(entries) {
+    for (const { file, path, extract } of entries) {
+      // Archive members are extracted again when read (see extract)
+      if (!extract) this.files.set(path, file);
+    }
+  }
+
+  /**
+   * The File behind `path`, or null. `state` is a store snapshot to look nodes up in.
+   */
+  async getFile(path, state = this.store.getState()) {
+    if (this.files.has(path)) return this.files.get(path);
+    // A part (e.g. a workbook sheet) is read from its file, the node above it
+    const node = findNode(state.root, path);
+    if (node?.part !== undefined) return this.getFile(path.slice(0, path.lastIndexOf('/')), state);
+    const archive = this.findArchive(path, state.root);
+    if (archive) return this.extract(archive, path.slice(archive.length + 1), state);
+    const rootName = path.split('/')[0];
+    const handle = state.directoryHandles[rootName];
+    if (!handle || !(await verifyPermission(handle))) return null;
+    try {
+      return await fileFromDirectoryHandle(handle, path);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * The path of the innermost opened archive that contains `path`, or null.
+   */
+  findArchive(path, workspace) {
+    const parts = path.split('/');
+    let node = findRoot(workspace, parts[0]);
+    let archive = null;
+    for (let idx = 1; node && idx < parts.length; idx++) {
+      if (node.isArchive) archive = node.path;
+      node = node.children?.find((child) => child.name === parts[idx]);
+    }
+    return archive;
+  }
+
+  /**
+   * Extract the member `innerPath` of the archive at `archivePath`. The archive's
+   * listing is kept, so selecting more of its files doesn't re-read it.
+   */
+  async extract(archivePath, innerPath, state) {
+    if (!this.archives.has(archivePath)) {
+      const listing = this.getFile(archivePath, state).then((file) =>
+        file ? listArchive(file) : null
+      );
+      this.archives.set(archivePath, listing);
+    }
+    try {
+      const listing = await this.archives.get(archivePath);
+      const entry = listing?.find((e) => e.path === innerPath);
+      return entry ? await entry.toFile() : null;
+    } catch (err) {
+      this.archives.delete(archivePath);
+      return null;
+    }
+  }
+
+  /**
+   * Make sure the contents of `paths` are in the store. Resolves with
+   * { unavailable, failed }: the paths whose source could not be found, and
+   * [{ path, message }] for the files that could not be parsed.
+   */
+  async load(paths) {
+    const state = this.store.getState();
+    const missing = paths.filter(
+      (p) =>
+        !(p in state.fileContents) &&
+        !this.inFlight.has(p) &&
+        !findNode(state.root, p)?.parseError
+    );
+    if (!missing.length) return { unavailable: [], failed: [] };
+    missing.forEach((p) => this.inFlight.add(p));
+
+    const unavailable = [];
+    const failed = [];
+    try {
+      // 1) Cached contents
+      const cached = {};
+      const toRead = [];
+      for (const path of missing) {
+        const content = await contentsDB.getItem(path);
+        if (content !== null) {
+          cached[path] = content;
+        } else {
+          toRead.push(path);
+        }
+      }
+      if (Object.keys(cached).length) {
+        await this.store.dispatch(actions.setFileContentsBatch(cached, false));
+        await this.store.dispatch(actions.updateStats());
+      }
+
+      // 2) Read and parse the rest
+      let batch = {};
+      let batchSize = 0;
+      let errors = {};
+      let done = 0;
+      const flush = async () => {
+        if (Object.keys(errors).length) {
+          const batchErrors = errors;
+          errors = {};
+          await this.store.dispatch(actions.setParseErrors(batchErrors));
+        }
+        if (!batchSize) return;
+        const contents = batch;
+        batch = {};
+        batchSize = 0;
+        await this.store.dispatch(actions.setFileContentsBatch(contents));
+        await this.store.dispatch(actions.updateStats());
+      };
+      if (toRead.length) {
+        this.onProgress({ label: 'Loading', done, total: toRead.length, current: '' });
+      }
+      await Promise.all(
+        toRead.map(async (path) => {
+          const file = await this.getFile(path, state);
+          if (file) {
+            const node = findNode(state.root, path);
+            const encoding = node?.encodingOverride || node?.encoding || null;
+            let options = node?.parseOptions || null;
+            // The page range chosen in the tree narrows a PDF down
+            if (node?.pageRange) options = { ...options, pages: node.pageRange };
+            const part = node?.part ?? null;
+            const raw = Boolean(node?.rawText);
+            try {
+              batch[path] = await this.pool.run('parse', { file, encoding, options, part, raw });
+              batchSize++;
+            } catch (err) {
+              if (err.name === 'AbortError') throw err;
+              const message = err?.message || String(err);
+              errors[path] = message;
+              failed.push({ path, message });
+            }
+          } else {
+            unavailable.push(path);
+          }
+          done++;
+          this.onProgress({ label: 'Loading', done, total: toRead.length, current: path });
+          if (batchSize >= LOAD_BATCH_SIZE) await flush();
+        })
+      );
+      await flush();
+    } catch (err) {
+      if (err.name !== 'AbortError') throw err;
+    } finally {
+      missing.forEach((p) => this.inFlight.delete(p));
+      this.onProgress(null);
+    }
+    return { unavailable, failed };
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * custom-parsers.js
+ *
+ * Register in-house formats here, so they're detected as text and parsed in
+ * the workers like the built-in ones, without touching the rest of the viewer.
+ * See parsers.js for the fields a parser declares. Parsers run in Web Workers:
+ * they get a File and must not touch the DOM.
+ *
+ * Example, for a config DSL whose files start with "#!acme-config":
+ *
+ *   import { registerParser } from './parsers.js';
+ *   import { readText } from './encoding.js';
+ *
+ *   registerParser({
+ *     name: 'acme-config',
+ *     label: 'ACME config',
+ *     extensions: ['.acfg'],
+ *     magic: ['#!acme-config'],
+ *     options: { stripComments: true },
+ *     settingsKey: 'acmeConfig',
+ *     async parse(file, { encoding, options }) {
+ *       const { text } = await readText(file, encoding);
+ *       return options.stripComments ? text.replace(/^\s*;.*\n/gm, '') : text;
+ *     },
+ *   });
+ *
+ * With a `settingsKey`, the options are part of the project's scan rules
+ * (rules.js), so they can be saved per project.
+ */
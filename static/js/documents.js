@@ -0,0 +1,250 @@
+/**
+ * documents.js
+ *
+ * Turns the selected files' contents into the documents of the prompt:
+ * reduces source files to outlines in outline mode, numbers the lines when
+ * asked to, applies the size-limit truncation recorded on each tree node at
+ * scan time, and computes the attributes of its <document> tag (the original
+ * lines it holds, truncation, encoding, PDF page range). Images become
+ * <image> blocks, or documents holding a data URI, and carry their estimated
+ * token cost. Both the output panel and the token estimate go through here,
+ * so they always agree.
+ */
+import { walkTree } from './helpers.js';
+import { DEFAULT_IMAGE_OPTIONS, scaledSize, estimateImageTokens } from './images.js';
+import { outlineLanguage, outlineContent, outlineLineNumbers } from './outline.js';
+import { orderPaths } from './ordering.js';
+
+export const TRUNCATE_POLICIES = ['full', 'skip', 'head', 'tail', 'head-tail'];
+
+// Last result per path, so unchanged contents aren't split again on every render
+const cache = new Map();
+
+/**
+ * Cut `content` down to what `truncate` ({ policy, lines, maxBytes }) allows: at
+ * most `lines` lines from each end the policy keeps, and at most `maxBytes`
+ * characters in all (a file of few but long lines, e.g. minified code, is cut
+ * mid-line). Returns { content, truncated } where `truncated` is null when
+ * nothing was cut, or { policy, totalLines, ranges } with the 1-based line
+ * ranges that were kept, in whole or in part.
+ */
+export function truncateContent(content, truncate) {
+  if (!truncate || !['head', 'tail', 'head-tail'].includes(truncate.policy)) {
+    return { content, truncated: null };
+  }
+  // Nodes scanned before the character cap only have lines to go by
+  const { policy, lines, maxBytes = Infinity } = truncate;
+  const all = content.split('\n');
+  // A final newline ends the last line rather than starting another (see countLines)
+  if (content.endsWith('\n')) all.pop();
+  const total = all.length;
+  const keep = policy === 'head-tail' ? lines * 2 : lines;
+  if (total <= keep && content.length <= maxBytes) {
+    return { content, truncated: null };
+  }
+
+  // Characters are close enough to bytes for a size limit; head-tail splits it between the ends
+  const budget = policy === 'head-tail' ? Math.floor(maxBytes / 2) : maxBytes;
+  const none = { kept: [], count: 0, partial: false };
+  const head = policy === 'tail' ? none : takeLines(all, Math.min(lines, total), budget);
+  // A line cut short in the head can still end the tail
+  const rest = head.partial ? [all[0].slice(head.kept[0].length), ...all.slice(1)] : all.slice(head.count);
+  const tail = policy === 'head' ? none : takeLines(rest, Math.min(lines, rest.length), budget, true);
+
+  const partial = head.partial || tail.partial;
+  const omitted = partial
+    ? `${all.join('\n').length - head.kept.join('\n').length - tail.kept.join('\n').length} characters`
+    : `${total - head.count - tail.count} lines`;
+  const marker = {
+    head: `[… ${omitted.replace(' ', ' more ')} truncated …]`,
+    tail: `[… ${omitted.replace(' ', ' earlier ')} truncated …]`,
+    'head-tail': `[… ${omitted} omitted …]`,
+  }[policy];
+  const kept = [...head.kept, marker, ...tail.kept];
+
+  let ranges = [];
+  if (head.count) ranges.push([1, head.count]);
+  if (tail.count) ranges.push([total - tail.count + 1, total]);
+  // Both ends of the same cut line
+  if (ranges.length === 2 && ranges[1][0] <= ranges[0][1]) {
+    ranges = [[1, total]];
+  }
+  return { content: kept.join('\n'), truncated: { policy, totalLines: total, ranges } };
+}
+
+/**
+ * The first `count` of `lines` (the last, `fromEnd`) that fit in `chars`
+ * characters, or as much of the first as fits when not even that one does:
+ * { kept, count, partial }.
+ */
+function takeLines(lines, count, chars, fromEnd = false) {
+  const source = fromEnd ? lines.slice(lines.length - count).reverse() : lines.slice(0, count);
+  const kept = [];
+  let length = 0;
+  for (const line of source) {
+    if (length + line.length > chars) break;
+    kept.push(line);
+    length += line.length + 1;
+  }
+  if (!kept.length && source.length) {
+    const line = source[0];
+    return { kept: [fromEnd ? line.slice(line.length - chars) : line.slice(0, chars)], count: 1, partial: true };
+  }
+  return { kept: fromEnd ? kept.reverse() : kept, count: kept.length, partial: false };
+}
+
+// Lines of `text`, not counting the empty one after a final newline
+function countLines(text) {
+  return text.split('\n').length - (text.endsWith('\n') ? 1 : 0);
+}
+
+/**
+ * Prefix each line of `text` with its number in the original file: `numbers[i]`
+ * for line i (null leaves it blank), or i + 1 without `numbers`. Numbers are
+ * padded to the width of `total`, the original's line count.
+ */
+function numberLines(text, numbers, total) {
+  const width = String(total).length;
+  const lines = text.split('\n');
+  const last = text.endsWith('\n') ? lines.length - 1 : lines.length;
+  return lines
+    .map((line, i) => {
+      if (i >= last) return line;
+      const number = numbers ? numbers[i] : i + 1;
+      const prefix = number == null ? ' '.repeat(width) : String(number).padStart(width);
+      return line ? `${prefix} | ${line}` : `${prefix} |`;
+    })
+    .join('\n');
+}
+
+/**
+ * The `ranges` ([[from, to]] in the `total` lines of the text sent) as original
+ * line ranges ("1-40, 161-200"), through `numbers` when the text is an outline
+ * of an original of `originalTotal` lines. An outline's first and last lines
+ * stand for the start and end of the file.
+ */
+function lineRanges(ranges, total, numbers, originalTotal) {
+  const mapped = [];
+  for (const [from, to] of ranges) {
+    if (!numbers) {
+      mapped.push([from, to]);
+      continue;
+    }
+    const kept = numbers.slice(from - 1, to).filter((n) => n != null);
+    if (!kept.length) continue;
+    mapped.push([from === 1 ? 1 : kept[0], to === total ? originalTotal : kept[kept.length - 1]]);
+  }
+  return mapped.map(([from, to]) => `${from}-${to}`).join(', ');
+}
+
+/**
+ * The document for the text file at `path`, outlined when `outline` says so
+ * (and its language allows), its lines numbered with `lineNumbers`, then cut
+ * to its size limit. Line numbers and the `lines` attribute always refer to
+ * the original file, whatever was elided or cut.
+ */
+function textDocument(path, raw, node, outline, lineNumbers) {
+  const encoding = node?.encodingOverride || node?.encoding || null;
+  const pages = node?.pageRange || null;
+  const language = outline && !node?.parser ? outlineLanguage(path) : null;
+  const text = language ? outlineContent(raw, language) : raw;
+  // The original line number of each line of an outline
+  const numbers = language ? outlineLineNumbers(raw, text) : null;
+  const numbered = lineNumbers ? numberLines(text, numbers, countLines(raw)) : text;
+  const { content, truncated } = truncateContent(numbered, node?.truncate || null);
+  const total = countLines(text);
+  const ranges = truncated ? truncated.ranges : [[1, total]];
+  const attrs = { lines: lineRanges(ranges, total, numbers, countLines(raw)) };
+  if (language) {
+    attrs.mode = 'outline';
+  }
+  // The charset the file was decoded with, detected or chosen
+  if (encoding) {
+    attrs.encoding = encoding;
+  }
+  if (pages) {
+    attrs.pages = pages;
+  }
+  if (truncated) {
+    attrs.truncated = truncated.policy;
+    attrs['total-lines'] = truncated.totalLines;
+  }
+  return { tag: 'document', path, content, attrs, size: node?.size };
+}
+
+/**
+ * The document for the image at `path`, whose contents are a data URI.
+ */
+function imageDocument(path, dataUri, node) {
+  const { format, maxDimension } = { ...DEFAULT_IMAGE_OPTIONS, ...node.parseOptions };
+  const [, mime = node.image?.mime, base64 = ''] = dataUri.match(/^data:([^;,]+);base64,(.*)$/s) || [];
+  const tokens = estimateImageTokens(node.image, maxDimension);
+  if (format === 'data-uri') {
+    return { tag: 'document', path, content: dataUri, attrs: { mime }, tokens, image: true, size: node.size };
+  }
+  const attrs = { mime };
+  if (node.image?.width && node.image?.height) {
+    Object.assign(attrs, scaledSize(node.image, maxDimension));
+  }
+  return { tag: 'image', path, content: base64, attrs, tokens, image: true, size: node.size };
+}
+
+/**
+ * The documents for the selected paths that have contents, in the order chosen
+ * for the prompt (see ordering.js):
+ * [{ tag, path, content, attrs, size, tokens, image }] with `tag` the element to
+ * wrap them in ('document' or 'image'), `attrs` its extra attributes, `size` the
+ * file's size in bytes and, for images, `image: true` and `tokens` their cost
+ * (text is estimated from its length).
+ */
+export function prepareDocuments(state) {
+  const nodes = new Map();
+  if (state.root) {
+    walkTree(state.root, (node) => {
+      if (!node.isDir) nodes.set(node.path, node);
+    });
+  }
+
+  const documents = [];
+  for (const path of orderPaths(state)) {
+    const raw = state.fileContents[path];
+    if (!raw) continue;
+    const node = nodes.get(path);
+    const outline = node?.outline ?? Boolean(state.outlineAll);
+    const lineNumbers = Boolean(state.lineNumbers);
+    const key = JSON.stringify([
+      outline,
+      lineNumbers,
+      node?.truncate,
+      node?.encodingOverride || node?.encoding,
+      node?.pageRange,
+      node?.parseOptions,
+      node?.rawText,
+    ]);
+    let cached = cache.get(path);
+    if (!cached || cached.raw !== raw || cached.key !== key) {
+      const doc =
+        node?.image && !node.rawText
+          ? imageDocument(path, raw, node)
+          : textDocument(path, raw, node, outline, lineNumbers);
+      cached = { raw, key, document: doc };
+      cache.set(path, cached);
+    }
+    documents.push(cached.document);
+  }
+
+  // Forget documents that are no longer selected
+  for (const path of cache.keys()) {
+    if (!state.selectedPaths.has(path)) cache.delete(path);
+  }
+  return documents;
+}
+
+/**
+ * Render attributes as ` name="value"` pairs for a tag.
+ */
+export function formatAttributes(attrs) {
+  return Object.entries(attrs)
+    .map(([name, value]) => ` ${name}="${String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`)
+    .join('');
+}
@@ -0,0 +1,106 @@
+/**
+ * encoding.js
+ *
+ * Character encoding detection, so legacy files don't turn into mojibake:
+ *   1) a byte order mark decides (UTF-8, UTF-16 LE/BE)
+ *   2) UTF-16 without a BOM shows up as NUL bytes in every other position
+ *   3) valid UTF-8 is taken as UTF-8
+ *   4) Shift-JIS / EUC-JP when the bytes decode cleanly and contain kana
+ *   5) otherwise Windows-1252, which decodes any byte
+ * Decoding goes through TextDecoder with the detected (or user-chosen) label.
+ */
+
+// Offered as per-file overrides in the tree
+export const ENCODINGS = [
+  'utf-8',
+  'utf-16le',
+  'utf-16be',
+  'windows-1252',
+  'iso-8859-15',
+  'windows-1251',
+  'koi8-r',
+  'shift_jis',
+  'euc-jp',
+  'gbk',
+  'big5',
+  'euc-kr',
+];
+
+// How much of a file detection looks at
+export const SNIFF_BYTES = 64 * 1024;
+
+/**
+ * Guess the encoding of `bytes` (a Uint8Array, possibly just the start of a file).
+ */
+export function detectEncoding(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+
+  const utf16 = detectUtf16(bytes);
+  if (utf16) return utf16;
+  if (decodesCleanly(bytes, 'utf-8')) return 'utf-8';
+  for (const encoding of ['shift_jis', 'euc-jp']) {
+    if (decodesCleanly(bytes, encoding) && looksJapanese(decode(bytes, encoding))) {
+      return encoding;
+    }
+  }
+  return 'windows-1252';
+}
+
+/**
+ * Decode `bytes` as `encoding`. A matching BOM is dropped.
+ * With `partial`, a multi-byte sequence cut off at the end isn't an error.
+ */
+export function decode(bytes, encoding = 'utf-8', { partial = false } = {}) {
+  return new TextDecoder(encoding).decode(bytes, { stream: partial });
+}
+
+/**
+ * Read a whole file as text, detecting its encoding unless one is given.
+ * Resolves to { text, encoding }.
+ */
+export async function readText(file, encoding = null) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const used = encoding || detectEncoding(bytes.subarray(0, SNIFF_BYTES));
+  return { text: decode(bytes, used), encoding: used };
+}
+
+function decodesCleanly(bytes, encoding) {
+  try {
+    new TextDecoder(encoding, { fatal: true }).decode(bytes, { stream: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Mostly-ASCII UTF-16 has a NUL in every other byte: the high byte of each
+ * code unit, at odd offsets for little-endian and even ones for big-endian.
+ */
+function detectUtf16(bytes) {
+  const length = Math.min(bytes.length, 4096) & ~1;
+  if (length < 4) return null;
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (bytes[i] === 0) evenNuls++;
+    if (bytes[i + 1] === 0) oddNuls++;
+  }
+  const units = length / 2;
+  if (oddNuls / units > 0.4 && evenNuls / units < 0.05) return 'utf-16le';
+  if (evenNuls / units > 0.4 && oddNuls / units < 0.05) return 'utf-16be';
+  return null;
+}
+
+/**
+ * Japanese text nearly always contains hiragana or katakana; Western text
+ * mis-decoded as Shift-JIS / EUC-JP mostly yields stray kanji instead.
+ */
+function looksJapanese(text) {
+  const nonAscii = text.match(/[^\x00-\x7f]/g);
+  if (!nonAscii) return false;
+  const kana = text.match(/[\u3040-\u30ff\uff66-\uff9f]/g);
+  return Boolean(kana) && kana.length / nonAscii.length > 0.2;
+}
@@ -0,0 +1,203 @@
+/**
+ * formats.js
+ *
+ * Renders the prompt: the folder structure of each root folder with selected
+ * files, then the selected documents (see documents.js), in one of:
+ *   - xml: <folder-structure> and <document path="..."> blocks
+ *   - markdown: headings with language-tagged fenced code blocks
+ *   - json: { folders: [{ root, tree }], documents: [{ path, language, size, content, ... }] }
+ *   - plain: text delimited by "===== path =====" lines
+ *   - custom: the user's template (see DEFAULT_TEMPLATE for the placeholders)
+ */
+import { formatSize } from './helpers.js';
+import { formatAttributes } from './documents.js';
+import { orderPaths } from './ordering.js';
+
+/**
+ * The custom format: `folder` is written for each root folder ({{root}}, {{tree}}),
+ * `document` for each file ({{path}}, {{language}}, {{size}}, {{content}}), and
+ * the blocks are joined with `separator`.
+ */
+export const DEFAULT_TEMPLATE = Object.freeze({
+  folder: 'Folder structure of {{root}}:\n{{tree}}',
+  document: '### {{path}} ({{language}}, {{size}})\n{{content}}',
+  separator: '\n\n',
+});
+
+const LANGUAGES = {
+  js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx', ts: 'typescript',
+  tsx: 'tsx', py: 'python', pyi: 'python', rb: 'ruby', go: 'go', rs: 'rust', java: 'java',
+  kt: 'kotlin', kts: 'kotlin', swift: 'swift', c: 'c', h: 'c', cpp: 'cpp', hpp: 'cpp',
+  cc: 'cpp', cs: 'csharp', php: 'php', sh: 'bash', bash: 'bash', zsh: 'bash', fish: 'fish',
+  sql: 'sql', graphql: 'graphql', html: 'html', htm: 'html', vue: 'vue', svelte: 'svelte',
+  css: 'css', scss: 'scss', sass: 'sass', less: 'less', json: 'json', yaml: 'yaml',
+  yml: 'yaml', toml: 'toml', ini: 'ini', xml: 'xml', md: 'markdown', markdown: 'markdown',
+  csv: 'csv', tsv: 'tsv', dockerfile: 'dockerfile', makefile: 'makefile',
+};
+
+/**
+ * The fence language of the file at `path` ('' when unknown).
+ */
+export function languageOf(path) {
+  const name = path.split('/').pop().toLowerCase();
+  const ext = name.includes('.') ? name.split('.').pop() : name;
+  return LANGUAGES[ext] || '';
+}
+
+/**
+ * An ASCII tree of the selected paths under `node`, or '' when none are selected.
+ * With `rank` (path -> position in the prompt), each folder lists its entries in
+ * the order their first document comes in.
+ */
+export function folderTree(node, selectedPaths, rank = null, prefix = '', isLast = true) {
+  if (!selectedPaths.has(node.path) && !anyChildSelected(node, selectedPaths)) {
+    return '';
+  }
+  const connector = isLast ? '└── ' : '├── ';
+  const childPrefix = isLast ? '    ' : '│   ';
+  let result = prefix + connector + node.name + '\n';
+
+  if (node.children) {
+    const visible = node.children.filter(
+      (ch) => selectedPaths.has(ch.path) || (ch.isDir && anyChildSelected(ch, selectedPaths))
+    );
+    if (rank) {
+      visible.sort((a, b) => firstRank(a, rank) - firstRank(b, rank));
+    }
+    visible.forEach((child, index) => {
+      const lastChild = index === visible.length - 1;
+      result += folderTree(child, selectedPaths, rank, prefix + childPrefix, lastChild);
+    });
+  }
+  return result;
+}
+
+function anyChildSelected(node, selectedPaths) {
+  if (!node.children) return false;
+  return node.children.some(
+    (ch) => selectedPaths.has(ch.path) || (ch.isDir && anyChildSelected(ch, selectedPaths))
+  );
+}
+
+// The earliest position of `node` or the files under it
+function firstRank(node, rank) {
+  if (!node.children) return rank.get(node.path) ?? Infinity;
+  return Math.min(Infinity, ...node.children.map((child) => firstRank(child, rank)));
+}
+
+/**
+ * The folder trees of the roots in `state` with selected files: [{ root, tree }],
+ * in the order of the documents (see ordering.js).
+ */
+export function selectedFolders(state) {
+  const rank = new Map(orderPaths(state).map((path, idx) => [path, idx]));
+  const roots = [...(state.root?.children || [])].sort((a, b) => firstRank(a, rank) - firstRank(b, rank));
+  const folders = [];
+  for (const root of roots) {
+    const tree = folderTree(root, state.selectedPaths, rank).trimEnd();
+    if (tree) folders.push({ root: root.name, tree });
+  }
+  return folders;
+}
+
+/**
+ * Render `folders` and `documents` as `format` ('xml', 'markdown', 'json', 'plain' or
+ * 'custom', which uses `template`). With `part` ({ index, total }), the output is
+ * headed "Part index of total" (see parts.js).
+ */
+export function renderOutput(folders, documents, format = 'xml', template = DEFAULT_TEMPLATE, part = null) {
+  const render = RENDERERS[format] || RENDERERS.xml;
+  return render(folders, documents, { ...DEFAULT_TEMPLATE, ...template }, part);
+}
+
+const partTitle = ({ index, total }) => `Part ${index} of ${total}`;
+
+const RENDERERS = {
+  xml(folders, documents, template, part) {
+    return [
+      ...(part ? [partTitle(part)] : []),
+      ...folders.map(({ root, tree }) => `<folder-structure${formatAttributes({ root })}>\n${tree}\n</folder-structure>`),
+      ...documents.map(
+        ({ tag, path, content, attrs }) => `<${tag}${formatAttributes({ path, ...attrs })}>\n${content}\n</${tag}>`
+      ),
+    ].join('\n\n');
+  },
+
+  markdown(folders, documents, template, part) {
+    return [
+      ...(part ? [`# ${partTitle(part)}`] : []),
+      ...folders.map(({ root, tree }) => `## Folder structure: ${root}\n\n${fence(tree, 'text')}`),
+      ...documents.map((doc) => {
+        const notes = Object.entries(doc.attrs)
+          .filter(([name]) => name !== 'mime')
+          .map(([name, value]) => `${name}: ${value}`);
+        const heading = `## ${doc.path}` + (notes.length ? `\n\n_${notes.join(', ')}_` : '');
+        if (doc.image) return `${heading}\n\n![${doc.path}](${dataUri(doc)})`;
+        return `${heading}\n\n${fence(doc.content, languageOf(doc.path))}`;
+      }),
+    ].join('\n\n');
+  },
+
+  json(folders, documents, template, part) {
+    return JSON.stringify(
+      {
+        ...(part ? { part: part.index, parts: part.total } : {}),
+        folders,
+        documents: documents.map((doc) => ({
+          path: doc.path,
+          language: doc.image ? doc.attrs.mime : languageOf(doc.path),
+          size: doc.size ?? doc.content.length,
+          ...doc.attrs,
+          content: doc.image ? dataUri(doc) : doc.content,
+        })),
+      },
+      null,
+      2
+    );
+  },
+
+  plain(folders, documents, template, part) {
+    return [
+      ...(part ? [`===== ${partTitle(part)} =====`] : []),
+      ...folders.map(({ root, tree }) => `===== Folder structure: ${root} =====\n${tree}`),
+      ...documents.map((doc) => `===== ${doc.path} =====\n${doc.image ? dataUri(doc) : doc.content}`),
+    ].join('\n\n');
+  },
+
+  custom(folders, documents, template, part) {
+    return [
+      ...(part ? [partTitle(part)] : []),
+      ...folders.map((folder) => fillTemplate(template.folder, folder)),
+      ...documents.map((doc) =>
+        fillTemplate(template.document, {
+          path: doc.path,
+          language: doc.image ? doc.attrs.mime : languageOf(doc.path) || 'text',
+          size: formatSize(doc.size ?? doc.content.length),
+          content: doc.image ? dataUri(doc) : doc.content,
+        })
+      ),
+    ].join(template.separator);
+  },
+};
+
+/**
+ * Replace the {{name}} placeholders of `template` with `values` (unknown ones stay).
+ */
+export function fillTemplate(template, values) {
+  // One pass, so placeholders inside the values (e.g. file contents) are left alone
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    name in values ? String(values[name]) : match
+  );
+}
+
+// A fenced code block, with a fence longer than any backtick run in `content`
+function fence(content, language) {
+  const longest = Math.max(0, ...(content.match(/`+/g) || []).map((run) => run.length));
+  const ticks = '`'.repeat(Math.max(3, longest + 1));
+  return `${ticks}${language}\n${content}\n${ticks}`;
+}
+
+// Images in block format only hold their base64 data
+function dataUri(doc) {
+  return doc.tag === 'image' ? `data:${doc.attrs.mime};base64,${doc.content}` : doc.content;
+}
@@ -0,0 +1,73 @@
+/**
+ * generated.js
+ *
+ * Content heuristics for files nobody writes by hand: build output, minified
+ * bundles and embedded data. They cost a lot of tokens and say little, so the
+ * scan flags them and Select All leaves them out. Lock files and the like are
+ * recognised by name instead, with the "generated" rules in rules.js.
+ *
+ * A file is flagged when a comment near its top says it was generated (the
+ * markers in GENERATED_MARKERS), when its lines are much longer than code
+ * is written with, or when its characters are as random as encoded data.
+ */
+
+export const GENERATED_MARKERS = [
+  /@generated\b/,
+  /\bDO NOT EDIT\b/,
+  /\bauto-?generated\b/i,
+];
+
+// Only comments within the first lines count: a marker further down is
+// more likely talk about generated code than a header
+const HEADER_LINES = 10;
+const COMMENT_LINE = /^\s*(\/\/|\/\*|\*|#|<!--|--|;|%|')/;
+
+// Hand-written code rarely averages this many characters per line
+const MINIFIED_AVG_LINE = 200;
+const MINIFIED_MAX_LINE = 1000;
+// Bits per character; source code sits around 4.5-5, base64 close to 6
+const ENTROPY_THRESHOLD = 5.4;
+const ENCODED_AVG_LINE = 40;
+// Samples shorter than this are too small to judge by their lines or entropy
+const MIN_SAMPLE = 1024;
+
+/**
+ * Shannon entropy of `text`, in bits per character.
+ */
+export function entropy(text) {
+  if (!text.length) return 0;
+  const counts = new Map();
+  for (const ch of text) {
+    counts.set(ch, (counts.get(ch) || 0) + 1);
+  }
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+/**
+ * Why the file starting with `sample` looks generated, or null if it doesn't.
+ */
+export function detectGenerated(sample) {
+  const lines = sample.split('\n');
+  const header = lines.slice(0, HEADER_LINES).filter((line) => COMMENT_LINE.test(line));
+  for (const line of header) {
+    const marker = GENERATED_MARKERS.find((re) => re.test(line));
+    if (marker) return `${line.match(marker)[0]} header`;
+  }
+
+  if (sample.length < MIN_SAMPLE) return null;
+  const longest = lines.reduce((max, line) => Math.max(max, line.length), 0);
+  const average = sample.length / lines.length;
+  if (longest > MINIFIED_MAX_LINE && average > MINIFIED_AVG_LINE) {
+    return 'minified';
+  }
+  // Long unbroken runs of random-looking characters: base64, hex dumps, keys
+  if (average > ENCODED_AVG_LINE && entropy(sample) > ENTROPY_THRESHOLD) {
+    return 'high-entropy content';
+  }
+  return null;
+}
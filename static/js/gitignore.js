@@ -0,0 +1,233 @@
+/**
+ * gitignore.js
+ *
+ * A small implementation of .gitignore matching:
+ *   - comments, blank lines and escaped trailing spaces
+ *   - negation (`!`), anchored patterns, directory-only rules (`dir/`)
+ *   - `*`, `?`, `[...]` and `**` globs
+ *   - per-directory scoping: rules only apply below the .gitignore that holds them,
+ *     and deeper files override shallower ones
+ *   - a path inside an excluded directory cannot be re-included
+ */
+
+/**
+ * Convert a single gitignore glob (already stripped of `!`, leading and trailing
+ * slashes) into a regular expression source.
+ */
+function globToRegExpSource(glob) {
+  let out = '';
+  let i = 0;
+  while (i < glob.length) {
+    const ch = glob[i];
+
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length;
+        if (atStart && atEnd) {
+          // "**" or ".../**" : everything below
+          out += '.*';
+          i += 2;
+          continue;
+        }
+        if (atStart && glob[i + 2] === '/') {
+          // "**/" : zero or more directories
+          out += '(?:.*/)?';
+          i += 3;
+          continue;
+        }
+        // Any other "**" behaves like a regular "*"
+        out += '[^/]*';
+        i += 2;
+        continue;
+      }
+      out += '[^/]*';
+      i++;
+      continue;
+    }
+
+    if (ch === '?') {
+      out += '[^/]';
+      i++;
+      continue;
+    }
+
+    if (ch === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close !== -1) {
+        let body = glob.slice(i + 1, close);
+        if (body[0] === '!' || body[0] === '^') {
+          body = '^' + body.slice(1);
+        }
+        out += '[' + body.replace(/\\/g, '\\\\') + ']';
+        i = close + 1;
+        continue;
+      }
+    }
+
+    if (ch === '\\' && i + 1 < glob.length) {
+      out += glob[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      i += 2;
+      continue;
+    }
+
+    out += ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    i++;
+  }
+  return out;
+}
+
+/**
+ * Parse one line of a .gitignore file into a rule, or null for blanks/comments.
+ */
+export function parseRule(line, { base = '', source = '', lineNumber = 0, ignoreCase = false } = {}) {
+  let text = line.replace(/\r$/, '');
+  if (!text || text.startsWith('#')) return null;
+
+  // Trailing spaces are ignored unless escaped with a backslash
+  text = text.replace(/(^|[^\\])\s+$/, '$1');
+  if (text.endsWith('\\ ')) {
+    text = text.slice(0, -2) + ' ';
+  }
+  if (!text) return null;
+
+  let negated = false;
+  if (text.startsWith('!')) {
+    negated = true;
+    text = text.slice(1);
+  } else if (text.startsWith('\\!') || text.startsWith('\\#')) {
+    text = text.slice(1);
+  }
+
+  let dirOnly = false;
+  if (text.endsWith('/')) {
+    dirOnly = true;
+    text = text.replace(/\/+$/, '');
+  }
+  if (!text) return null;
+
+  // A slash at the start or in the middle anchors the pattern to `base`
+  const anchored = text.includes('/');
+  text = text.replace(/^\/+/, '');
+
+  const prefix = anchored ? '' : '(?:.*/)?';
+  const regex = new RegExp('^' + prefix + globToRegExpSource(text) + '$', ignoreCase ? 'i' : '');
+
+  return {
+    pattern: line.trim(),
+    source,
+    line: lineNumber,
+    base,
+    negated,
+    dirOnly,
+    regex,
+  };
+}
+
+/**
+ * Human-readable description of the rule that excluded a path,
+ * e.g. `my-app/.gitignore:3 dist/`.
+ */
+export function formatRule(rule) {
+  if (!rule) return '';
+  const location = rule.line ? `${rule.source}:${rule.line}` : rule.source;
+  return location ? `${location} ${rule.pattern}` : rule.pattern;
+}
+
+export class GitignoreMatcher {
+  constructor({ ignoreCase = false } = {}) {
+    this.ignoreCase = ignoreCase;
+    // Rules grouped by the directory they were declared in
+    this.groups = [];
+    this._dirCache = new Map();
+  }
+
+  /**
+   * Add the rules of a .gitignore file.
+   * `base` is the directory holding the file ('' for the scan root),
+   * `source` is what we display when one of its rules excludes a path.
+   */
+  addFile(base, text, source = base ? `${base}/.gitignore` : '.gitignore') {
+    const rules = this._parseLines(text.split('\n'), base, source);
+    this.addRules(base, rules);
+  }
+
+  /**
+   * Add pre-parsed rules (or raw pattern strings) declared for `base`.
+   */
+  addRules(base, rules) {
+    const parsed = rules
+      .map((r, idx) => (typeof r === 'string' ? this._parseLines([r], base, '', idx + 1)[0] : r))
+      .filter(Boolean);
+    if (!parsed.length) return;
+    this.groups.push({ base, depth: base ? base.split('/').length : 0, rules: parsed });
+    // Shallow files first so that deeper ones win (last match wins)
+    this.groups.sort((a, b) => a.depth - b.depth);
+    this._dirCache.clear();
+  }
+
+  get isEmpty() {
+    return this.groups.length === 0;
+  }
+
+  /**
+   * Decide whether `path` is ignored.
+   * Returns { ignored, rule, path, isDir } where `path`/`isDir` describe the
+   * entry actually excluded (an ancestor directory or the path itself).
+   */
+  match(path, isDir = false) {
+    const parts = path.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const dirPath = parts.slice(0, i).join('/');
+      const dirResult = this._matchDir(dirPath);
+      if (dirResult) {
+        return { ignored: true, rule: dirResult, path: dirPath, isDir: true };
+      }
+    }
+    const rule = this._lastMatch(path, isDir);
+    if (rule && !rule.negated) {
+      return { ignored: true, rule, path, isDir };
+    }
+    return { ignored: false, rule: null, path, isDir };
+  }
+
+  _matchDir(dirPath) {
+    if (!this._dirCache.has(dirPath)) {
+      const rule = this._lastMatch(dirPath, true);
+      this._dirCache.set(dirPath, rule && !rule.negated ? rule : null);
+    }
+    return this._dirCache.get(dirPath);
+  }
+
+  _lastMatch(path, isDir) {
+    let found = null;
+    for (const group of this.groups) {
+      let rel = path;
+      if (group.base) {
+        if (!path.startsWith(group.base + '/')) continue;
+        rel = path.slice(group.base.length + 1);
+      }
+      for (const rule of group.rules) {
+        if (rule.dirOnly && !isDir) continue;
+        if (rule.regex.test(rel)) {
+          found = rule;
+        }
+      }
+    }
+    return found;
+  }
+
+  _parseLines(lines, base, source, firstLine = 1) {
+    const rules = [];
+    lines.forEach((line, idx) => {
+      const rule = parseRule(line, {
+        base,
+        source,
+        lineNumber: source ? firstLine + idx : 0,
+        ignoreCase: this.ignoreCase,
+      });
+      if (rule) rules.push(rule);
+    });
+    return rules;
+  }
+}
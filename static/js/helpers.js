@@ -8,6 +8,8 @@
  * - text-likelihood check
  */
 
+import { detectEncoding, decode } from './encoding.js';
+
 export const metadataDB = localforage.createInstance({
     name: 'CodebaseToPrompt',
     storeName: 'fileMetadata',
@@ -27,13 +29,24 @@ export const metadataDB = localforage.createInstance({
   }
   
   /**
-   * Save the current metadata object (root, selectedPaths, expandedNodes, stats).
+   * Save the current metadata object (root, selectedPaths, expandedNodes, outlineAll,
+   * lineNumbers, outputFormat, outputTemplate, prompt, documentOrder, manualOrder,
+   * partBudget, stats, directoryHandles).
    */
   export async function saveAllMetadata(state) {
     const serializable = {
       root: state.root,
+      directoryHandles: state.directoryHandles,
       selectedPaths: Array.from(state.selectedPaths),
       expandedNodes: Array.from(state.expandedNodes),
+      outlineAll: state.outlineAll,
+      lineNumbers: state.lineNumbers,
+      outputFormat: state.outputFormat,
+      outputTemplate: state.outputTemplate,
+      prompt: state.prompt,
+      documentOrder: state.documentOrder,
+      manualOrder: state.manualOrder,
+      partBudget: state.partBudget,
       stats: state.stats,
     };
     await metadataDB.setItem('treeState', serializable);
@@ -54,28 +67,162 @@ export const metadataDB = localforage.createInstance({
   }
   
   /**
-   * Estimate tokens by a rough 4-chars = 1 token approach.
+   * Estimate tokens of the prompt documents ({ content }) by a rough 4-chars = 1 token approach.
    */
-  export function calculateTokens(fileContents, selectedPaths) {
+  export function calculateTokens(documents) {
     let totalChars = 0;
-    for (const path of selectedPaths) {
-      const content = fileContents[path];
-      if (content) {
+    let imageTokens = 0;
+    for (const { content, tokens } of documents) {
+      // Images come with their own estimate
+      if (tokens !== undefined) {
+        imageTokens += tokens;
+      } else {
         totalChars += content.length;
       }
     }
     // approximate 4 chars per token
-    return Math.ceil(totalChars / 4);
+    return Math.ceil(totalChars / 4) + imageTokens;
   }
   
+  /**
+   * Human-readable byte size, e.g. "1.5 MB".
+   */
+  export function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let idx = 0;
+    while (size >= 1024 && idx < units.length - 1) {
+      size /= 1024;
+      idx++;
+    }
+    return `${size.toFixed(1)} ${units[idx]}`;
+  }
+
   /**
    * Attempt to read ~4KB and see how many "printable" characters exist
-   * to guess if it's text or binary.
+   * to guess if it's text or binary. The sample is decoded with `encoding`
+   * (detected when omitted), so UTF-16 and CJK files count as text.
+   * Windows-1252, the fallback that decodes any byte, would pass random or
+   * compressed data: such samples are judged as UTF-8 instead, where a few
+   * accented letters still leave a text file well above the ratio.
    */
-  export async function isTextLikely(file) {
-    const slice = file.slice(0, 4096);
-    const text = await slice.text();
-    const printableChars = text.match(/[\x20-\x7E\n\r\t\u00A0-\u02AF\u0370-\u1CFF]/g);
+  export async function isTextLikely(file, encoding = null) {
+    const bytes = new Uint8Array(await file.slice(0, 4096).arrayBuffer());
+    const detected = encoding || detectEncoding(bytes);
+    const judgedAs = detected === 'windows-1252' ? 'utf-8' : detected;
+    const text = decode(bytes, judgedAs, { partial: true });
+    const printableChars = text.match(
+      /[\x20-\x7E\n\r\t\u00A0-\u02AF\u0370-\u1CFF\u2000-\u2BFF\u3000-\u9FFF\uAC00-\uD7AF\uF900-\uFFEF]/g
+    );
     return printableChars && printableChars.length / text.length > 0.7;
   }
-  
\ No newline at end of file
+  
+  /**
+   * SHA-256 of a file's bytes, as hex. Used to tell real edits from touched files.
+   */
+  export async function hashFile(file) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Depth-first walk over a tree node and its descendants.
+   */
+  export function walkTree(node, fn) {
+    fn(node);
+    if (node.children) {
+      for (const child of node.children) {
+        walkTree(child, fn);
+      }
+    }
+  }
+
+  /**
+   * Insert a node for `parts` (a split path whose first segment is the root),
+   * creating intermediate directories as needed.
+   */
+  export function insertNode(root, parts, props) {
+    let current = root;
+    for (let idx = 1; idx < parts.length - 1; idx++) {
+      const part = parts[idx];
+      let childDir = current.children.find((c) => c.name === part && c.isDir);
+      if (!childDir) {
+        childDir = {
+          name: part,
+          path: parts.slice(0, idx + 1).join('/'),
+          isDir: true,
+          children: [],
+        };
+        current.children.push(childDir);
+      }
+      current = childDir;
+    }
+    const node = {
+      name: parts[parts.length - 1],
+      path: parts.join('/'),
+      ...props,
+    };
+    current.children.push(node);
+    return node;
+  }
+
+  /**
+   * Merge the children of `source` into `target` (both directory nodes).
+   * Directories are merged recursively; a file from `source` replaces a node
+   * with the same name in `target`. Returns `target`.
+   */
+  export function mergeTrees(target, source) {
+    for (const child of source.children || []) {
+      const existing = target.children.find((c) => c.name === child.name);
+      if (existing && existing.isDir && child.isDir) {
+        mergeTrees(existing, child);
+      } else {
+        target.children = target.children.filter((c) => c !== existing);
+        target.children.push(child);
+      }
+    }
+    return target;
+  }
+
+  /**
+   * The workspace node: an unnamed container whose children are the root folders.
+   */
+  export function createWorkspace(roots = []) {
+    return {
+      name: '',
+      path: '',
+      isDir: true,
+      isWorkspace: true,
+      children: roots,
+    };
+  }
+
+  /**
+   * Find the root folder named `name` in the workspace.
+   */
+  export function findRoot(workspace, name) {
+    return workspace?.children.find((root) => root.name === name) || null;
+  }
+
+  /**
+   * Find the node at `path` (starting with a root folder name), or null.
+   */
+  export function findNode(workspace, path) {
+    const parts = path.split('/');
+    let node = findRoot(workspace, parts[0]);
+    for (let idx = 1; node && idx < parts.length; idx++) {
+      node = node.children?.find((child) => child.name === parts[idx]) || null;
+    }
+    return node;
+  }
+
+  /**
+   * A root name not used in the workspace yet: "app", then "app (2)", "app (3)"...
+   */
+  export function uniqueRootName(workspace, name) {
+    let candidate = name;
+    for (let n = 2; findRoot(workspace, candidate); n++) {
+      candidate = `${name} (${n})`;
+    }
+    return candidate;
+  }
@@ -0,0 +1,174 @@
+/**
+ * images.js
+ *
+ * Images for multimodal prompts (opt-in, see the `images` rules):
+ *   - imageInfo: MIME type and pixel size, read from the file's header
+ *   - parseImageFile: the image as a data URI, optionally downscaled so its
+ *     longest side fits `maxDimension` (not for SVGs, which are kept as they are)
+ *   - estimateImageTokens: what an image costs a model to look at
+ */
+
+export const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+};
+
+// format: 'block' (<image path mime>…</image>) or 'data-uri' (a <document> holding one)
+export const DEFAULT_IMAGE_OPTIONS = { include: false, format: 'block', maxDimension: 0 };
+
+// JPEG dimensions can sit behind a large EXIF block
+const HEADER_BYTES = 256 * 1024;
+
+// Vision models bill roughly one token per 750 pixels, and downscale anything
+// larger than this on its longest side before looking at it
+const PIXELS_PER_TOKEN = 750;
+const MODEL_MAX_DIMENSION = 1568;
+
+export function imageType(name) {
+  const lower = name.toLowerCase();
+  const ext = Object.keys(IMAGE_TYPES).find((e) => lower.endsWith(e));
+  return ext ? IMAGE_TYPES[ext] : null;
+}
+
+export function isImage(name) {
+  return imageType(name) !== null;
+}
+
+/**
+ * { width, height } of an image of `maxDimension` on its longest side at most
+ * (0 leaves the size alone).
+ */
+export function scaledSize({ width, height }, maxDimension = 0) {
+  const longest = Math.max(width, height);
+  if (!maxDimension || longest <= maxDimension) return { width, height };
+  const scale = maxDimension / longest;
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+/**
+ * Tokens for an image of `image` ({ width, height }) size sent downscaled to
+ * `maxDimension`. Images of unknown size count as the largest a model takes.
+ */
+export function estimateImageTokens(image, maxDimension = 0) {
+  const size =
+    image?.width && image?.height
+      ? image
+      : { width: MODEL_MAX_DIMENSION, height: MODEL_MAX_DIMENSION };
+  const limit = maxDimension ? Math.min(maxDimension, MODEL_MAX_DIMENSION) : MODEL_MAX_DIMENSION;
+  const { width, height } = scaledSize(size, limit);
+  return Math.ceil((width * height) / PIXELS_PER_TOKEN);
+}
+
+/**
+ * { mime, width, height } of the image `file`; width and height are null
+ * when the header can't be read.
+ */
+export async function imageInfo(file) {
+  const mime = imageType(file.name) || file.type;
+  const bytes = new Uint8Array(await file.slice(0, HEADER_BYTES).arrayBuffer());
+  const size =
+    mime === 'image/svg+xml'
+      ? svgSize(new TextDecoder().decode(bytes))
+      : pngSize(bytes) || jpegSize(bytes) || webpSize(bytes);
+  return { mime, width: size?.width ?? null, height: size?.height ?? null };
+}
+
+function pngSize(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 24 || view.getUint32(0) !== 0x89504e47) return null;
+  return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+function jpegSize(bytes) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 2;
+  while (pos + 9 < bytes.length) {
+    if (bytes[pos] !== 0xff) return null;
+    const marker = bytes[pos + 1];
+    // Start-of-frame markers carry the size; C4, C8 and CC are other tables
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: view.getUint16(pos + 5), width: view.getUint16(pos + 7) };
+    }
+    pos += 2 + view.getUint16(pos + 2);
+  }
+  return null;
+}
+
+function webpSize(bytes) {
+  const ascii = (from, to) => String.fromCharCode(...bytes.subarray(from, to));
+  if (bytes.length < 30 || ascii(0, 4) !== 'RIFF' || ascii(8, 12) !== 'WEBP') return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunk = ascii(12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = view.getUint32(21, true);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    const uint24 = (at) => bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16);
+    return { width: uint24(24) + 1, height: uint24(27) + 1 };
+  }
+  return null;
+}
+
+// From the width/height attributes of the root element, else its viewBox
+function svgSize(text) {
+  const tag = text.match(/<svg\b[^>]*>/i)?.[0];
+  if (!tag) return null;
+  const attr = (name) => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+  const width = parseFloat(attr('width'));
+  const height = parseFloat(attr('height'));
+  if (width > 0 && height > 0) return { width: Math.round(width), height: Math.round(height) };
+  const box = (attr('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (box.length === 4 && box[2] > 0 && box[3] > 0) {
+    return { width: Math.round(box[2]), height: Math.round(box[3]) };
+  }
+  return null;
+}
+
+/**
+ * The image `file` as a data URI. With `maxDimension`, raster images larger than
+ * that are downscaled first, where OffscreenCanvas is available.
+ */
+export async function parseImageFile(file, { maxDimension = 0 } = {}) {
+  const { mime, width, height } = await imageInfo(file);
+  let blob = file;
+  if (maxDimension && width && height && mime !== 'image/svg+xml') {
+    blob = (await downscale(file, mime, scaledSize({ width, height }, maxDimension))) || file;
+  }
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  return `data:${blob === file ? mime : blob.type};base64,${toBase64(bytes)}`;
+}
+
+async function downscale(file, mime, { width, height }) {
+  if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+    return null;
+  }
+  const bitmap = await createImageBitmap(file);
+  if (bitmap.width <= width && bitmap.height <= height) {
+    bitmap.close();
+    return null;
+  }
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  return canvas.convertToBlob({ type: mime, quality: 0.9 });
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  // In chunks: String.fromCharCode takes a limited number of arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
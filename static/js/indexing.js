@@ -1,95 +1,679 @@
 /**
  * indexing.js
  *
- * Functions to parse PDFs, spreadsheets, etc. Also determines
- * file type (PDF, XLSX) by extension.
+ * Functions to parse PDFs, spreadsheets, Word / PowerPoint / OpenDocument
+ * documents, notebooks, etc. Which files they apply to is declared in parsers.js.
  */
+import { listZipFile } from './archive.js';
+import { parseXml, childElements, findElement, findElements } from './xml.js';
 
-// <-- This line makes sure we can use pdfjs from the global scope in our ES module:
-const pdfjs = window.pdfjsLib;
+// <-- This line makes sure we can use pdfjs from the global scope (window or worker) in our ES module:
+const pdfjs = globalThis.pdfjsLib;
+
+export const DEFAULT_PDF_OPTIONS = Object.freeze({
+  layout: false, // rebuild lines and columns from text positions
+  pageMarkers: true, // put "--- page N ---" before each page
+});
 
 /**
- * Check if a file is PDF by extension
+ * Parse a page range like "3-5, 10, 12-" into [[from, to]] pairs
+ * (`to` is Infinity for open ranges). An empty range means every page.
+ * Throws on anything else.
  */
-export function isPDF(filename) {
-  if (!filename) return false;
-  return filename.toLowerCase().endsWith('.pdf');
+export function parsePageRange(spec) {
+  const ranges = [];
+  for (const part of String(spec || '').split(',')) {
+    const text = part.trim();
+    if (!text) continue;
+    const match = text.match(/^(\d+)\s*(?:[-–]\s*(\d*))?$/);
+    if (!match) throw new Error(`Invalid page range: "${text}"`);
+    const from = Number(match[1]);
+    const to = match[2] === undefined ? from : match[2] === '' ? Infinity : Number(match[2]);
+    if (!from || to < from) throw new Error(`Invalid page range: "${text}"`);
+    ranges.push([from, to]);
+  }
+  return ranges.length ? ranges : [[1, Infinity]];
 }
 
 /**
- * Parse a PDF file to text using pdf.js
+ * Parse a PDF file to text using pdf.js. A page that fails to extract is
+ * reported in place of its text instead of failing the whole file.
+ * `options.pages` is a page range like "3-5, 10" (every page when empty).
  */
-export async function parsePDFFile(file) {
+export async function parsePDFFile(file, options = {}) {
+  const { layout, pageMarkers, pages = '' } = { ...DEFAULT_PDF_OPTIONS, ...options };
   const arrayBuffer = await file.arrayBuffer();
   const typedArray = new Uint8Array(arrayBuffer);
 
   // Use `pdfjs` (pointing to window.pdfjsLib)
   const loadingTask = pdfjs.getDocument({ data: typedArray });
   const pdf = await loadingTask.promise;
-  let textOutput = '';
-
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-    const page = await pdf.getPage(pageNum);
-    const textContent = await page.getTextContent();
-    const pageText = textContent.items
-      .filter((item) => item.str.trim().length > 0)
-      .map((item) => {
-        return item.hasEOL ? item.str + '\n' : item.str + ' ';
-      })
-      .join('')
-      .replace(/\s+/g, ' ')
-      .trim();
-    if (pageText) {
-      textOutput += pageText + '\n\n';
-    }
-  }
-
-  return textOutput.trim();
-}
-
-/**
- * Check if a file is a spreadsheet
- */
-export function isSpreadsheet(filename) {
-  if (!filename) return false;
-  const spreadsheetExtensions = [
-    '.xls',
-    '.xlsx',
-    '.xlsm',
-    '.xlsb',
-    '.xlt',
-    '.ods',
-    '.fods',
-    '.numbers',
-  ];
-  const lower = filename.toLowerCase();
-  return spreadsheetExtensions.some((ext) => lower.endsWith(ext));
-}
-
-/**
- * Parse a spreadsheet file to CSV text using SheetJS
- */
-export async function parseSpreadsheetFile(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        let textOutput = '';
-
-        workbook.SheetNames.forEach((sheetName) => {
-          const worksheet = workbook.Sheets[sheetName];
-          const csv = XLSX.utils.sheet_to_csv(worksheet);
-          textOutput += `Sheet: ${sheetName}\n${csv}\n\n`;
-        });
-
-        resolve(textOutput.trim());
-      } catch (err) {
-        reject(err);
+  const wanted = new Set();
+  for (const [from, to] of parsePageRange(pages)) {
+    for (let pageNum = from; pageNum <= Math.min(to, pdf.numPages); pageNum++) {
+      wanted.add(pageNum);
+    }
+  }
+
+  const blocks = [];
+  for (const pageNum of [...wanted].sort((a, b) => a - b)) {
+    let pageText;
+    try {
+      const page = await pdf.getPage(pageNum);
+      const textContent = await page.getTextContent();
+      pageText = layout ? layoutPageText(textContent.items) : flowPageText(textContent.items);
+    } catch (err) {
+      pageText = `[page ${pageNum} could not be extracted: ${err?.message || err}]`;
+    }
+    if (pageMarkers) {
+      blocks.push(`--- page ${pageNum} ---\n${pageText}`.trim());
+    } else if (pageText) {
+      blocks.push(pageText);
+    }
+  }
+
+  return blocks.join('\n\n').trim();
+}
+
+/**
+ * Page text as running prose: all whitespace collapsed.
+ */
+function flowPageText(items) {
+  return items
+    .filter((item) => item.str.trim().length > 0)
+    .map((item) => {
+      return item.hasEOL ? item.str + '\n' : item.str + ' ';
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Page text with its layout: items sharing a baseline form a line, and
+ * horizontal gaps become runs of spaces in a monospace grid, so tables and
+ * code listings keep their columns.
+ */
+function layoutPageText(items) {
+  const glyphs = items
+    .filter((item) => item.str && item.transform)
+    .map((item) => ({
+      str: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width,
+      height: Math.abs(item.height || item.transform[3]) || 10,
+    }));
+  if (!glyphs.length) return '';
+
+  // Typical character width, for turning x positions into columns
+  const widths = glyphs
+    .filter((g) => g.str.trim() && g.width > 0)
+    .map((g) => g.width / g.str.length)
+    .sort((a, b) => a - b);
+  const charWidth = widths[Math.floor(widths.length / 2)] || 5;
+  const left = Math.min(...glyphs.map((g) => g.x));
+
+  // Top to bottom, then left to right; a line takes items within half a line height
+  glyphs.sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+  for (const glyph of glyphs) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - glyph.y) <= Math.min(line.height, glyph.height) / 2) {
+      line.glyphs.push(glyph);
+    } else {
+      lines.push({ y: glyph.y, height: glyph.height, glyphs: [glyph] });
+    }
+  }
+
+  const out = [];
+  let previous = null;
+  for (const line of lines) {
+    // Keep paragraph breaks: a gap of more than ~1.5 lines becomes an empty line
+    if (previous && previous.y - line.y > Math.max(previous.height, line.height) * 1.8) {
+      out.push('');
+    }
+    let text = '';
+    for (const glyph of line.glyphs.sort((a, b) => a.x - b.x)) {
+      const column = Math.round((glyph.x - left) / charWidth);
+      if (column > text.length) {
+        text += ' '.repeat(column - text.length);
+      } else if (text && !text.endsWith(' ') && !glyph.str.startsWith(' ') && column < text.length - 1) {
+        text += ' ';
+      }
+      text += glyph.str;
+    }
+    out.push(text.trimEnd());
+    previous = line;
+  }
+  return out.join('\n').replace(/^\n+|\n+$/g, '');
+}
+
+export const DEFAULT_SPREADSHEET_OPTIONS = Object.freeze({
+  maxRows: 1000, // per sheet, not counting the header; 0 for no limit
+  sampling: 'first', // 'first' or 'random' rows when over maxRows
+  header: 'auto', // 'auto', 'first-row' or 'none'
+  format: 'csv', // 'csv', 'tsv' or 'markdown'
+  formulas: false, // show "value [=formula]"
+  comments: false, // list cell comments after the table
+});
+
+async function readWorkbook(file, options = {}) {
+  const data = new Uint8Array(await file.arrayBuffer());
+  return XLSX.read(data, { type: 'array', ...options });
+}
+
+/**
+ * Names of the sheets of a workbook, without parsing their cells
+ */
+export async function listSpreadsheetSheets(file) {
+  return (await readWorkbook(file, { bookSheets: true })).SheetNames;
+}
+
+/**
+ * Parse every sheet of a spreadsheet file to text using SheetJS,
+ * each under a "Sheet: name" line
+ */
+export async function parseSpreadsheetFile(file, options = {}) {
+  const workbook = await readWorkbook(file);
+  return workbook.SheetNames.map(
+    (name) => `Sheet: ${name}\n${formatSheet(workbook.Sheets[name], name, options)}`
+  )
+    .join('\n\n')
+    .trim();
+}
+
+/**
+ * Parse one sheet of a spreadsheet file to text using SheetJS
+ */
+export async function parseSpreadsheetSheet(file, sheetName, options = {}) {
+  const { maxRows, sampling } = { ...DEFAULT_SPREADSHEET_OPTIONS, ...options };
+  // Reading the first rows only is much cheaper for huge data tabs
+  const sheetRows = maxRows && sampling === 'first' ? maxRows + 1 : 0;
+  const workbook = await readWorkbook(file, { sheets: sheetName, sheetRows });
+  const worksheet = workbook.Sheets[sheetName];
+  if (!worksheet) throw new Error(`No sheet named "${sheetName}"`);
+  return formatSheet(worksheet, sheetName, options);
+}
+
+/**
+ * A header row holds distinct labels where the rows below hold data:
+ * only text cells, mostly filled in, above a row with at least one non-text cell
+ * or with a different shape.
+ */
+function looksLikeHeader(rows) {
+  if (rows.length < 2) return false;
+  const [first, second] = rows;
+  const labels = first.filter((cell) => cell.text !== '');
+  if (!labels.length || labels.length < first.length / 2) return false;
+  if (!labels.every((cell) => cell.type === 's')) return false;
+  if (new Set(labels.map((cell) => cell.text)).size !== labels.length) return false;
+  return second.some((cell, i) => cell.text !== '' && cell.type !== 's' && first[i]?.text !== '') ||
+    second.filter((cell) => cell.text !== '').length !== labels.length;
+}
+
+// Small seeded PRNG, so a random sample stays the same between reloads
+function seededRandom(seedText) {
+  let seed = 0;
+  for (const ch of seedText) seed = (Math.imul(seed, 31) + ch.charCodeAt(0)) | 0;
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleRows(rows, count, random) {
+  const picked = new Set();
+  while (picked.size < count) {
+    picked.add(Math.floor(random() * rows.length));
+  }
+  return [...picked].sort((a, b) => a - b).map((idx) => rows[idx]);
+}
+
+/**
+ * Render a worksheet as CSV, TSV or a Markdown table, applying the row limit.
+ */
+function formatSheet(worksheet, sheetName, options = {}) {
+  const { maxRows, sampling, header, format, formulas, comments } = {
+    ...DEFAULT_SPREADSHEET_OPTIONS,
+    ...options,
+  };
+  if (!worksheet['!ref']) return '';
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  // With `sheetRows`, !fullref still has the size of the whole sheet
+  const fullRange = XLSX.utils.decode_range(worksheet['!fullref'] || worksheet['!ref']);
+
+  const rows = [];
+  const notes = [];
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const address = XLSX.utils.encode_cell({ r, c });
+      const cell = worksheet[address];
+      let text = cell ? XLSX.utils.format_cell(cell) : '';
+      if (formulas && cell?.f) {
+        text = text ? `${text} [=${cell.f}]` : `=${cell.f}`;
+      }
+      if (comments && cell?.c?.length) {
+        for (const comment of cell.c) {
+          const author = comment.a ? ` (${comment.a})` : '';
+          notes.push(`- ${address}${author}: ${String(comment.t || '').trim()}`);
+        }
+      }
+      row.push({ text, type: cell?.t });
+    }
+    rows.push(row);
+  }
+  while (rows.length && rows[rows.length - 1].every((cell) => cell.text === '')) {
+    rows.pop();
+  }
+
+  const hasHeader = header === 'first-row' || (header === 'auto' && looksLikeHeader(rows));
+  const headerRow = hasHeader ? rows.shift() : null;
+  const totalRows = fullRange.e.r - fullRange.s.r + 1 - (hasHeader ? 1 : 0);
+
+  let body = rows;
+  let limitNote = '';
+  if (maxRows && totalRows > maxRows) {
+    if (sampling === 'random') {
+      body = sampleRows(rows, Math.min(maxRows, rows.length), seededRandom(sheetName));
+      limitNote = `[random sample of ${body.length} of ${totalRows} rows]`;
+    } else {
+      body = rows.slice(0, maxRows);
+      limitNote = `[first ${body.length} of ${totalRows} rows]`;
+    }
+  }
+
+  const texts = (row) => row.map((cell) => cell.text);
+  let table;
+  if (format === 'markdown') {
+    const width = range.e.c - range.s.c + 1;
+    const head = headerRow
+      ? texts(headerRow)
+      : Array.from({ length: width }, (_, i) => XLSX.utils.encode_col(range.s.c + i));
+    table = formatTable([head, ...body.map(texts)]);
+  } else {
+    const all = headerRow ? [headerRow, ...body] : body;
+    const line =
+      format === 'tsv'
+        ? (row) => texts(row).map((text) => text.replace(/[\t\r\n]+/g, ' ')).join('\t')
+        : (row) =>
+            texts(row)
+              .map((text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text))
+              .join(',');
+    table = all.map(line).join('\n');
+  }
+
+  const blocks = [table];
+  if (limitNote) blocks.push(limitNote);
+  if (notes.length) blocks.push(`Comments:\n${notes.join('\n')}`);
+  return blocks.join('\n\n');
+}
+
+/*
+ * .docx, .pptx and .odt files are zip containers of XML parts. They are turned
+ * into readable text: headings as "#" lines, tables as Markdown tables, slides
+ * under "--- Slide N ---" markers with their speaker notes.
+ */
+
+async function readZipParts(file) {
+  return new Map((await listZipFile(file)).map((entry) => [entry.path, entry]));
+}
+
+/**
+ * Parse a Word (.docx) file to text
+ */
+export async function parseDocxFile(file) {
+  return parseDocx(await readZipParts(file));
+}
+
+/**
+ * Parse a PowerPoint (.pptx) file to text
+ */
+export async function parsePptxFile(file) {
+  return parsePptx(await readZipParts(file));
+}
+
+/**
+ * Parse an OpenDocument text (.odt) file to text
+ */
+export async function parseOdtFile(file) {
+  return parseOdt(await readZipParts(file));
+}
+
+async function readXml(parts, path) {
+  const entry = parts.get(path);
+  if (!entry) return null;
+  return parseXml(await (await entry.toFile()).text());
+}
+
+function textOf(node) {
+  return node.children.filter((child) => typeof child === 'string').join('');
+}
+
+/**
+ * Rows of cell texts as a Markdown table (the first row is the header).
+ */
+function formatTable(rows) {
+  rows = rows.filter((row) => row.length);
+  if (!rows.length) return '';
+  const width = Math.max(...rows.map((row) => row.length));
+  const line = (cells) =>
+    '| ' +
+    Array.from({ length: width }, (_, i) =>
+      (cells[i] || '').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim()
+    ).join(' | ') +
+    ' |';
+  return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Text of WordprocessingML / DrawingML runs (w:t, a:t) with tabs and breaks.
+ * Property elements (w:pPr, a:rPr...) and deleted text are skipped.
+ */
+function runText(node) {
+  let out = '';
+  for (const child of childElements(node)) {
+    if (/Pr$/.test(child.name)) continue;
+    switch (child.name) {
+      case 'w:t':
+      case 'a:t':
+        out += textOf(child);
+        break;
+      case 'w:tab':
+        out += '\t';
+        break;
+      case 'w:br':
+      case 'w:cr':
+      case 'a:br':
+        out += '\n';
+        break;
+      case 'w:del':
+      case 'w:instrText':
+        break;
+      default:
+        out += runText(child);
+    }
+  }
+  return out;
+}
+
+/* Word (.docx) ------------------------------------------------------------ */
+
+async function parseDocx(parts) {
+  const doc = await readXml(parts, 'word/document.xml');
+  if (!doc) throw new Error('Not a Word document: word/document.xml is missing');
+  return docxBlocks(findElement(doc, 'w:body')).join('\n\n').trim();
+}
+
+function docxBlocks(node) {
+  const blocks = [];
+  for (const child of childElements(node)) {
+    if (child.name === 'w:p') {
+      const text = docxParagraph(child);
+      if (text) blocks.push(text);
+    } else if (child.name === 'w:tbl') {
+      const rows = childElements(child, 'w:tr').map((tr) =>
+        childElements(tr, 'w:tc').map((tc) => docxBlocks(tc).join(' '))
+      );
+      blocks.push(formatTable(rows));
+    } else if (!/Pr$/.test(child.name)) {
+      // Content controls and custom XML wrap paragraphs of their own
+      blocks.push(...docxBlocks(child));
+    }
+  }
+  return blocks;
+}
+
+function docxParagraph(p) {
+  const text = runText(p).trim();
+  if (!text) return '';
+  const props = findElement(p, 'w:pPr');
+  const style = findElement(props, 'w:pStyle')?.attrs['w:val'] || '';
+  const outline = findElement(props, 'w:outlineLvl')?.attrs['w:val'];
+  const heading = style.match(/^heading\s*(\d)$/i);
+  let level = 0;
+  if (/^title$/i.test(style)) level = 1;
+  else if (heading) level = Number(heading[1]);
+  else if (outline !== undefined && Number(outline) < 9) level = Number(outline) + 1;
+
+  if (level) return `${'#'.repeat(Math.min(level, 6))} ${text}`;
+  if (findElement(props, 'w:numPr')) return `- ${text}`;
+  return text;
+}
+
+/* PowerPoint (.pptx) ------------------------------------------------------- */
+
+/**
+ * The relationships of an OOXML part: Map of id -> { type, path }, with
+ * targets resolved against the part's folder.
+ */
+async function readRelationships(parts, partPath) {
+  const dir = partPath.split('/').slice(0, -1);
+  const name = partPath.split('/').pop();
+  const rels = await readXml(parts, [...dir, '_rels', `${name}.rels`].join('/'));
+  const map = new Map();
+  for (const rel of findElements(rels, 'Relationship')) {
+    const { Id, Type = '', Target = '', TargetMode } = rel.attrs;
+    if (TargetMode === 'External') continue;
+    const segments = Target.startsWith('/') ? [] : [...dir];
+    for (const part of Target.split('/')) {
+      if (part === '..') segments.pop();
+      else if (part && part !== '.') segments.push(part);
+    }
+    map.set(Id, { type: Type, path: segments.join('/') });
+  }
+  return map;
+}
+
+async function parsePptx(parts) {
+  const presentation = await readXml(parts, 'ppt/presentation.xml');
+  if (!presentation) throw new Error('Not a PowerPoint file: ppt/presentation.xml is missing');
+  const rels = await readRelationships(parts, 'ppt/presentation.xml');
+  const slidePaths = findElements(presentation, 'p:sldId')
+    .map((sld) => rels.get(sld.attrs['r:id'])?.path)
+    .filter(Boolean);
+
+  const slides = [];
+  for (const [idx, path] of slidePaths.entries()) {
+    const slide = await readXml(parts, path);
+    if (!slide) continue;
+    const blocks = [`--- Slide ${idx + 1} ---`, ...pptxShapes(findElement(slide, 'p:spTree'))];
+
+    const notesRel = [...(await readRelationships(parts, path)).values()].find((rel) =>
+      rel.type.endsWith('/notesSlide')
+    );
+    const notes = notesRel && (await readXml(parts, notesRel.path));
+    if (notes) {
+      const text = pptxShapes(findElement(notes, 'p:spTree'), ['body']).join('\n\n');
+      if (text) blocks.push(`Notes:\n${text}`);
+    }
+    slides.push(blocks.join('\n\n'));
+  }
+  return slides.join('\n\n').trim();
+}
+
+/**
+ * Text of the shapes, groups and tables of a slide. With `placeholders`, only
+ * placeholder shapes of those types are read (e.g. the body of a notes page).
+ */
+function pptxShapes(tree, placeholders = null) {
+  const blocks = [];
+  for (const child of childElements(tree)) {
+    if (child.name === 'p:grpSp') {
+      blocks.push(...pptxShapes(child, placeholders));
+    } else if (child.name === 'p:sp') {
+      const type = findElement(child, 'p:ph')?.attrs.type;
+      if (placeholders && !placeholders.includes(type)) continue;
+      const body = findElement(child, 'p:txBody');
+      const text = childElements(body, 'a:p')
+        .map((p) => runText(p).trim())
+        .filter(Boolean)
+        .join('\n');
+      if (!text) continue;
+      blocks.push(type === 'title' || type === 'ctrTitle' ? `# ${text}` : text);
+    } else if (child.name === 'p:graphicFrame' && !placeholders) {
+      for (const table of findElements(child, 'a:tbl')) {
+        const rows = childElements(table, 'a:tr').map((tr) =>
+          childElements(tr, 'a:tc').map((tc) =>
+            findElements(tc, 'a:p')
+              .map((p) => runText(p).trim())
+              .join(' ')
+          )
+        );
+        blocks.push(formatTable(rows));
+      }
+    }
+  }
+  return blocks;
+}
+
+/* OpenDocument text (.odt) ------------------------------------------------ */
+
+async function parseOdt(parts) {
+  const content = await readXml(parts, 'content.xml');
+  if (!content) throw new Error('Not an OpenDocument file: content.xml is missing');
+  return odtBlocks(findElement(content, 'office:text')).join('\n\n').trim();
+}
+
+function odtBlocks(node) {
+  const blocks = [];
+  for (const child of childElements(node)) {
+    switch (child.name) {
+      case 'text:h': {
+        const text = odtText(child).trim();
+        const level = Number(child.attrs['text:outline-level']) || 1;
+        if (text) blocks.push(`${'#'.repeat(Math.min(level, 6))} ${text}`);
+        break;
       }
-    };
-    reader.onerror = (err) => reject(err);
-    reader.readAsArrayBuffer(file);
+      case 'text:p': {
+        const text = odtText(child).trim();
+        if (text) blocks.push(text);
+        break;
+      }
+      case 'text:list':
+        for (const item of childElements(child)) {
+          const [first = '', ...rest] = odtBlocks(item);
+          const lines = [`- ${first}`, ...rest].join('\n').split('\n');
+          // Nested items are indented under their parent
+          blocks.push(lines.map((line, i) => (i ? `  ${line}` : line)).join('\n'));
+        }
+        break;
+      case 'table:table': {
+        const rows = findElements(child, 'table:table-row').map((tr) =>
+          childElements(tr, 'table:table-cell').map((tc) => odtBlocks(tc).join(' '))
+        );
+        blocks.push(formatTable(rows));
+        break;
+      }
+      case 'text:tracked-changes':
+      case 'text:sequence-decls':
+      case 'office:forms':
+        break;
+      default:
+        blocks.push(...odtBlocks(child));
+    }
+  }
+  return blocks;
+}
+
+function odtText(node) {
+  let out = '';
+  for (const child of node.children) {
+    if (typeof child === 'string') {
+      out += child;
+      continue;
+    }
+    switch (child.name) {
+      case 'text:s':
+        out += ' '.repeat(Number(child.attrs['text:c']) || 1);
+        break;
+      case 'text:tab':
+        out += '\t';
+        break;
+      case 'text:line-break':
+        out += '\n';
+        break;
+      case 'text:note':
+      case 'office:annotation':
+        break;
+      default:
+        out += odtText(child);
+    }
+  }
+  return out;
+}
+
+export const DEFAULT_NOTEBOOK_OPTIONS = Object.freeze({
+  outputs: true, // include cell outputs
+  maxOutputChars: 2000, // per output; 0 for no cap
+  stripImages: true, // replace embedded images with a placeholder
+});
+
+const ANSI_ESCAPE = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+/**
+ * Turn notebook JSON (the file's text) into its cells, in order, each under a
+ * "--- Cell N [type] ---" marker, with outputs under "--- Output ---".
+ * Metadata and execution counts are dropped.
+ */
+export function parseNotebook(text, options = {}) {
+  const { outputs, maxOutputChars, stripImages } = { ...DEFAULT_NOTEBOOK_OPTIONS, ...options };
+  const notebook = JSON.parse(text);
+  // nbformat 4 has top-level cells; version 3 kept them in worksheets
+  const cells = notebook.cells || notebook.worksheets?.[0]?.cells || [];
+  const joinSource = (source) => (Array.isArray(source) ? source.join('') : source || '');
+
+  const blocks = [];
+  cells.forEach((cell, idx) => {
+    const source = joinSource(cell.source ?? cell.input).trimEnd();
+    blocks.push(`--- Cell ${idx + 1} [${cell.cell_type}] ---\n${source}`);
+    if (!outputs || !cell.outputs?.length) return;
+
+    const parts = cell.outputs
+      .map((output) => notebookOutputText(output, stripImages, joinSource))
+      .filter(Boolean)
+      .map((part) => {
+        if (!maxOutputChars || part.length <= maxOutputChars) return part;
+        const rest = part.length - maxOutputChars;
+        return `${part.slice(0, maxOutputChars)}\n[… ${rest} more characters truncated …]`;
+      });
+    if (parts.length) {
+      blocks.push(`--- Output ---\n${parts.join('\n')}`);
+    }
   });
+  return blocks.join('\n\n');
+}
+
+function notebookOutputText(output, stripImages, joinSource) {
+  switch (output.output_type) {
+    case 'stream':
+      return joinSource(output.text).trimEnd();
+    case 'error':
+    case 'pyerr':
+      return (output.traceback || [`${output.ename}: ${output.evalue}`])
+        .join('\n')
+        .replace(ANSI_ESCAPE, '');
+    default: {
+      // execute_result / display_data: one representation, text preferred
+      const data = output.data || output;
+      const image = Object.keys(data).find((mime) => mime.startsWith('image/'));
+      if (data['text/plain'] !== undefined && (!image || stripImages)) {
+        const textOut = joinSource(data['text/plain']).trimEnd();
+        return image ? `${textOut}\n[${image} image omitted]` : textOut;
+      }
+      if (image) {
+        if (stripImages) return `[${image} image omitted]`;
+        const payload = joinSource(data[image]).replace(/\s+/g, '');
+        return image === 'image/svg+xml'
+          ? joinSource(data[image])
+          : `data:${image};base64,${payload}`;
+      }
+      if (data['text/markdown'] !== undefined) return joinSource(data['text/markdown']).trimEnd();
+      if (data['text/html'] !== undefined) return joinSource(data['text/html']).trimEnd();
+      return '';
+    }
+  }
 }
@@ -6,6 +6,10 @@
  */
 import { Store } from './store.js';
 import { FileTreeViewer } from './viewer.js';
+import { SettingsPanel } from './settings-panel.js';
+import { TemplateEditor } from './template-editor.js';
+import { PromptEditor } from './prompt-editor.js';
+import { OrderEditor } from './order-editor.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
   // 1) Load the store from IndexedDB
@@ -14,16 +18,32 @@ document.addEventListener('DOMContentLoaded', async () => {
   // 2) Create the viewer
   const viewer = new FileTreeViewer(store);
 
+  // Scan rules editor
+  new SettingsPanel(store);
+
+  // Template of the custom output format
+  new TemplateEditor(store);
+
+  // Preamble, postamble and the prompt template library
+  new PromptEditor(store);
+
+  // Drag-to-reorder list of the selected files
+  new OrderEditor(store);
+
   // 3) Subscribe so that whenever the store changes, we re-render <tree-view> etc.
   store.subscribe((newState) => {
     viewer.handleStateChange(newState);
   });
 
   // 4) If there's already a root in the store, show it
+  //    (this also offers to reconnect to the last folder picked with the File System Access API)
   const currentState = store.getState();
-  if (currentState.root) {
+  if (currentState.root || Object.keys(currentState.directoryHandles).length) {
     viewer.handleStateChange(currentState);
   }
+
+  // 5) Selected files missing from the cache are read on demand
+  viewer.loadSelectedContents();
 });
 
 // Add this with your other event listeners
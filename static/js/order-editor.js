@@ -0,0 +1,103 @@
+/**
+ * order-editor.js
+ *
+ * The "Arrange…" dialog: the selected files in their current order, to drag
+ * (or move with ↑ / ↓) into the order they should have in the prompt. Saving
+ * switches the order to 'manual'.
+ */
+import { actions } from './actions.js';
+import { orderPaths } from './ordering.js';
+
+export class OrderEditor {
+  constructor(store) {
+    this.store = store;
+    this.dialog = document.getElementById('orderDialog');
+    this.list = document.getElementById('orderList');
+    this.paths = [];
+    this.dragged = null;
+
+    document.getElementById('arrangeButton').addEventListener('click', () => {
+      this.open();
+    });
+    document.getElementById('orderSaveButton').addEventListener('click', () => {
+      this.save();
+    });
+    document.getElementById('orderCancelButton').addEventListener('click', () => {
+      this.dialog.close();
+    });
+
+    // The dragged item moves through the list as it's dragged; the order is read back at the end
+    this.list.addEventListener('dragover', (e) => {
+      if (!this.dragged) return;
+      e.preventDefault();
+      const li = e.target.closest('li');
+      if (!li || li === this.dragged) return;
+      // Over the lower half of an item, the file goes after it
+      const { top, height } = li.getBoundingClientRect();
+      li.parentNode.insertBefore(this.dragged, e.clientY > top + height / 2 ? li.nextSibling : li);
+    });
+    this.list.addEventListener('drop', (e) => {
+      e.preventDefault();
+    });
+  }
+
+  open() {
+    this.paths = orderPaths(this.store.getState());
+    this.render();
+    this.dialog.showModal();
+  }
+
+  render() {
+    this.list.innerHTML = '';
+    this.paths.forEach((path, idx) => {
+      const li = document.createElement('li');
+      li.draggable = true;
+      li.dataset.path = path;
+      const code = document.createElement('code');
+      code.textContent = path;
+      li.appendChild(code);
+      li.appendChild(this.moveButton('↑', 'Move up', idx === 0, () => this.move(idx, idx - 1)));
+      li.appendChild(
+        this.moveButton('↓', 'Move down', idx === this.paths.length - 1, () => this.move(idx, idx + 1))
+      );
+      li.addEventListener('dragstart', (e) => {
+        this.dragged = li;
+        e.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag that carries data
+        e.dataTransfer.setData('text/plain', path);
+        li.classList.add('dragging');
+      });
+      li.addEventListener('dragend', () => {
+        this.dragged = null;
+        this.paths = [...this.list.children].map((item) => item.dataset.path);
+        this.render();
+      });
+      this.list.appendChild(li);
+    });
+  }
+
+  moveButton(label, title, disabled, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'button';
+    btn.textContent = label;
+    btn.title = title;
+    btn.disabled = disabled;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  /**
+   * Move the file at position `from` to position `to`.
+   */
+  move(from, to) {
+    const [path] = this.paths.splice(from, 1);
+    this.paths.splice(to, 0, path);
+    this.render();
+  }
+
+  async save() {
+    await this.store.dispatch(actions.setManualOrder(this.paths));
+    this.dialog.close();
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * ordering.js
+ *
+ * The order of the selected files in the prompt, for both the folder
+ * structure and the documents (models weigh what they read first and last
+ * differently, so this is the user's choice):
+ *   - tree: the order of the file tree
+ *   - alpha: alphabetical by path
+ *   - size: smallest first
+ *   - dependency: each file after the files it imports (relative JS/TS imports
+ *     and Python imports among the selected files), so leaves come first
+ *   - manual: the order arranged by hand (state.manualOrder); files selected
+ *     since follow in tree order
+ * Ties, and cycles between imports, fall back to tree order.
+ */
+import { walkTree } from './helpers.js';
+
+export const ORDER_MODES = ['tree', 'alpha', 'size', 'dependency', 'manual'];
+
+const JS_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'];
+const JS_IMPORTS = [
+  /\b(?:import|export)\s[^'"`;]*?\bfrom\s*['"]([^'"]+)['"]/g,
+  /\bimport\s*['"]([^'"]+)['"]/g,
+  /\b(?:import|require)\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+];
+const PY_IMPORTS = /^\s*(?:from\s+(\.*[\w.]*)\s+import\s+([\w \t,*]+)|import\s+([\w.]+))/gm;
+
+// Specifiers per path, parsed once per version of the contents
+const cache = new Map();
+
+/**
+ * The selected file paths of `state` in the order of `state.documentOrder`.
+ */
+export function orderPaths(state) {
+  const files = [];
+  if (state.root) {
+    walkTree(state.root, (node) => {
+      if (!node.isDir && state.selectedPaths.has(node.path)) files.push(node);
+    });
+  }
+  // Selected paths that are gone from the tree keep their place at the end
+  const known = new Set(files.map((node) => node.path));
+  const missing = [...state.selectedPaths].filter((path) => !known.has(path) && state.fileContents[path]);
+
+  let ordered;
+  switch (state.documentOrder) {
+    case 'alpha':
+      ordered = [...files].sort((a, b) => a.path.localeCompare(b.path));
+      break;
+    case 'size':
+      ordered = [...files].sort((a, b) => sizeOf(a, state) - sizeOf(b, state));
+      break;
+    case 'dependency':
+      ordered = dependencyOrder(files, state);
+      break;
+    case 'manual': {
+      const rank = new Map((state.manualOrder || []).map((path, idx) => [path, idx]));
+      ordered = [...files].sort((a, b) => (rank.get(a.path) ?? Infinity) - (rank.get(b.path) ?? Infinity));
+      break;
+    }
+    default:
+      ordered = files;
+  }
+  // Forget the imports of files that are no longer selected
+  for (const path of cache.keys()) {
+    if (!state.selectedPaths.has(path)) cache.delete(path);
+  }
+  return [...ordered.map((node) => node.path), ...missing];
+}
+
+function sizeOf(node, state) {
+  return node.size ?? state.fileContents[node.path]?.length ?? 0;
+}
+
+/**
+ * `files` with each after the ones it imports (depth-first, in tree order).
+ */
+function dependencyOrder(files, state) {
+  const byPath = new Map(files.map((node) => [node.path, node]));
+  const paths = new Set(byPath.keys());
+  const ordered = [];
+  const visited = new Set();
+  const visit = (path) => {
+    if (visited.has(path)) return;
+    visited.add(path);
+    for (const dep of dependenciesOf(path, state.fileContents[path] || '', paths)) {
+      visit(dep);
+    }
+    ordered.push(byPath.get(path));
+  };
+  files.forEach((node) => visit(node.path));
+  return ordered;
+}
+
+/**
+ * The paths among `paths` that the file at `path` imports.
+ */
+function dependenciesOf(path, text, paths) {
+  let cached = cache.get(path);
+  if (!cached || cached.text !== text) {
+    cached = { text, specifiers: importSpecifiers(path, text) };
+    cache.set(path, cached);
+  }
+  const deps = [];
+  for (const candidates of cached.specifiers) {
+    const found = candidates.find((candidate) => paths.has(candidate));
+    if (found && found !== path && !deps.includes(found)) deps.push(found);
+  }
+  return deps;
+}
+
+/**
+ * For each import in `text`, the paths it could refer to, most likely first.
+ */
+function importSpecifiers(path, text) {
+  const dir = path.split('/').slice(0, -1);
+  const lower = path.toLowerCase();
+  if (lower.endsWith('.py') || lower.endsWith('.pyi')) {
+    return pythonImports(dir, text);
+  }
+  if (!JS_EXTENSIONS.some((ext) => lower.endsWith(ext)) && !/\.(vue|svelte)$/.test(lower)) {
+    return [];
+  }
+  const specifiers = [];
+  for (const re of JS_IMPORTS) {
+    for (const match of text.matchAll(re)) {
+      // Only relative imports can be among the selected files
+      if (!match[1].startsWith('.')) continue;
+      const base = joinPath(dir, match[1]);
+      // TypeScript imports "./x.js" for ./x.ts
+      const stem = base.replace(/\.[cm]?js$/, '');
+      specifiers.push([
+        base,
+        ...JS_EXTENSIONS.map((ext) => stem + ext),
+        ...JS_EXTENSIONS.map((ext) => `${base}/index${ext}`),
+      ]);
+    }
+  }
+  return specifiers;
+}
+
+function pythonImports(dir, text) {
+  const root = dir.slice(0, 1);
+  const specifiers = [];
+  for (const [, from, names, module] of text.matchAll(PY_IMPORTS)) {
+    const spec = from ?? module;
+    const dots = spec.match(/^\.*/)[0].length;
+    const parts = spec.slice(dots).split('.').filter(Boolean);
+    // Relative imports count up from the file's folder; absolute ones may be
+    // rooted at the project or at the file's folder (scripts run from there)
+    const bases = dots ? [dir.slice(0, dir.length - (dots - 1))] : [root, dir];
+    const modules = [parts];
+    // "from pkg import mod" may import a module rather than a name
+    if (from !== undefined) {
+      for (const name of names.split(',').map((n) => n.trim())) {
+        if (/^\w+$/.test(name)) modules.push([...parts, name]);
+      }
+    }
+    for (const mod of modules) {
+      if (!mod.length) continue;
+      const candidates = [];
+      for (const base of bases) {
+        const stem = [...base, ...mod].join('/');
+        candidates.push(`${stem}.py`, `${stem}.pyi`, `${stem}/__init__.py`);
+      }
+      specifiers.push(candidates);
+    }
+  }
+  return specifiers;
+}
+
+// Resolve the relative `specifier` against the folder `dir` (split into segments)
+function joinPath(dir, specifier) {
+  const parts = [...dir];
+  for (const segment of specifier.split('/')) {
+    if (segment === '..') parts.pop();
+    else if (segment && segment !== '.') parts.push(segment);
+  }
+  return parts.join('/');
+}
@@ -0,0 +1,335 @@
+/**
+ * outline.js
+ *
+ * Outline mode: reduces source files to their shape, for prompts that need
+ * the map of a large codebase rather than every line. Imports, declarations,
+ * class and function signatures and comments are kept; function bodies are
+ * elided ("{ … }" in brace languages, "..." in Python).
+ *
+ * This works on the text with a small lexer (strings, comments, regex
+ * literals, brackets), not a parser per language, so it is forgiving of
+ * syntax it doesn't know and never fails: at worst an outline keeps a
+ * little more than it should.
+ */
+
+const LANGUAGES = {
+  javascript: ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'],
+  python: ['.py', '.pyi'],
+  go: ['.go'],
+  java: ['.java'],
+};
+
+/**
+ * The outline language of the file at `path`, or null when it can't be outlined.
+ */
+export function outlineLanguage(path) {
+  const lower = path.toLowerCase();
+  for (const [language, extensions] of Object.entries(LANGUAGES)) {
+    if (extensions.some((ext) => lower.endsWith(ext))) return language;
+  }
+  return null;
+}
+
+/**
+ * The outline of `text`, written in `language`.
+ */
+export function outlineContent(text, language) {
+  const outline = language === 'python' ? outlinePython(text) : outlineBraces(text, language);
+  // Elided bodies leave runs of blank lines behind
+  return outline
+    .split('\n')
+    .map((line) => line.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * For each line of `outline` (made from `text` by outlineContent), its line
+ * number in `text`, or null for lines the outline made up ("...", blank lines).
+ * Lines are matched in order; an elided line ("f() { … }") matches the line
+ * its body started on.
+ */
+export function outlineLineNumbers(text, outline) {
+  const lines = text.split('\n').map((line) => line.trim());
+  let next = 0;
+  return outline.split('\n').map((line) => {
+    const kept = line.trim();
+    if (!kept) return null;
+    const elided = kept.indexOf('{ … }');
+    const prefix = elided === -1 ? null : kept.slice(0, elided).trim() || '{';
+    const matches = (original) => (prefix === null ? original === kept : original.startsWith(prefix));
+    // A "..." is only original when it is the next statement
+    const last = kept === '...' ? lines.findIndex((l, i) => i >= next && l) : lines.length - 1;
+    for (let i = next; i <= last && i !== -1; i++) {
+      if (matches(lines[i])) {
+        next = i + 1;
+        return i + 1;
+      }
+    }
+    return null;
+  });
+}
+
+// Blocks with these in their head hold declarations: their contents are kept
+const CONTAINER = /\b(class|interface|enum|namespace|module|struct|record|@interface)\b/;
+// Heads of function bodies: ") {", "): Type {", ") throws E {", Go's ") (int, error) {",
+// "=> {", "-> {". A head ending in ":" is followed by a type literal instead.
+const BODY_HEAD = /(\)\s*(:[^;=]+|throws\s[^;=]*|\([^;=]*\)|[\w.*[\]<> ]+)?|=>|->|\b(else|try|finally|do|static))$/;
+// A return type under way ("):", "): Promise<"), and what may follow a type literal in
+// it before the body: "): { ok: boolean } {", "): Promise<{ id: string }[]> =>"
+const RETURN_TYPE = /\)\s*:[^;={}]*$/;
+const AFTER_TYPE_LITERAL = /[\s\w<>[\]|&.]*(\{|=>)/y;
+
+/**
+ * JavaScript / TypeScript, Go and Java: every block whose head looks like a
+ * function (or control) body is elided; classes, interfaces, object literals
+ * and type literals are walked into.
+ */
+function outlineBraces(text, language) {
+  let out = '';
+  let head = ''; // code (without comments or strings) since the last ; { or }
+  let parens = 0;
+  let prev = ''; // last significant character, to tell regex literals from division
+  let i = 0;
+  while (i < text.length) {
+    const literal = literalEnd(text, i, language, prev);
+    if (literal !== -1) {
+      out += text.slice(i, literal);
+      if (!isComment(text, i)) {
+        head += '""';
+        prev = '"';
+      }
+      i = literal;
+      continue;
+    }
+    const ch = text[i];
+    if (ch === '(' || ch === '[') parens++;
+    if ((ch === ')' || ch === ']') && parens > 0) parens--;
+
+    if (ch === '{') {
+      // Callbacks are elided too, e.g. the one in addEventListener('load', () => {…})
+      const trimmed = head.trim();
+      if (language === 'javascript' && RETURN_TYPE.test(trimmed)) {
+        const end = blockEnd(text, i, language);
+        AFTER_TYPE_LITERAL.lastIndex = end;
+        if (AFTER_TYPE_LITERAL.test(text)) {
+          // A type literal in the return type: kept whole, and the head goes on to the body
+          out += text.slice(i, end);
+          head += '{}';
+          prev = '}';
+          i = end;
+          continue;
+        }
+      }
+      if (!CONTAINER.test(trimmed) && BODY_HEAD.test(trimmed)) {
+        const end = blockEnd(text, i, language);
+        // Empty bodies ("() => {}") stay as they are
+        out += text.slice(i + 1, end - 1).trim() ? '{ … }' : text.slice(i, end);
+        i = end;
+        head = '';
+        prev = '}';
+        continue;
+      }
+      if (parens === 0) head = '';
+    } else if ((ch === '}' || ch === ';') && parens === 0) {
+      head = '';
+    } else {
+      head += ch;
+    }
+    if (!/\s/.test(ch)) prev = ch;
+    out += ch;
+    i++;
+  }
+  return out;
+}
+
+// The index after the "}" closing the block that opens at `start`
+function blockEnd(text, start, language) {
+  let depth = 0;
+  let prev = '{';
+  let i = start;
+  while (i < text.length) {
+    const literal = literalEnd(text, i, language, prev);
+    if (literal !== -1) {
+      i = literal;
+      prev = '"';
+      continue;
+    }
+    const ch = text[i];
+    if (ch === '{') depth++;
+    if (ch === '}' && --depth === 0) return i + 1;
+    if (!/\s/.test(ch)) prev = ch;
+    i++;
+  }
+  return text.length;
+}
+
+function isComment(text, i) {
+  return text[i] === '/' && (text[i + 1] === '/' || text[i + 1] === '*');
+}
+
+/**
+ * If a comment, string or regex literal starts at `i`, the index after it; else -1.
+ * `prev` is the last significant character before `i`.
+ */
+function literalEnd(text, i, language, prev) {
+  const ch = text[i];
+  if (ch === '/' && text[i + 1] === '/') {
+    const nl = text.indexOf('\n', i);
+    return nl === -1 ? text.length : nl;
+  }
+  if (ch === '/' && text[i + 1] === '*') {
+    const close = text.indexOf('*/', i + 2);
+    return close === -1 ? text.length : close + 2;
+  }
+  if (ch === '"' && language === 'java' && text.startsWith('"""', i)) {
+    const close = text.indexOf('"""', i + 3);
+    return close === -1 ? text.length : close + 3;
+  }
+  if (ch === '"' || ch === "'" || ch === '`') {
+    // Go's raw strings have no escapes
+    const escapes = !(ch === '`' && language === 'go');
+    for (let j = i + 1; j < text.length; j++) {
+      if (escapes && text[j] === '\\') {
+        j++;
+      } else if (text[j] === ch) {
+        return j + 1;
+      } else if (text[j] === '\n' && ch !== '`') {
+        return j; // unterminated
+      }
+    }
+    return text.length;
+  }
+  if (ch === '/' && language === 'javascript' && (!prev || '(,=:[!&|?{};+-*%<>~^'.includes(prev))) {
+    let inClass = false;
+    for (let j = i + 1; j < text.length; j++) {
+      const c = text[j];
+      if (c === '\n') return -1; // not a regex after all
+      if (c === '\\') {
+        j++;
+      } else if (c === '[') {
+        inClass = true;
+      } else if (c === ']') {
+        inClass = false;
+      } else if (c === '/' && !inClass) {
+        return j + 1;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Python: def bodies become their docstring (if any) and "...". Classes are walked
+ * into; module-level statements are kept.
+ */
+function outlinePython(text) {
+  const lines = text.split('\n');
+  const out = [];
+  let skipAbove = null; // indent of the def whose body is being skipped
+  let quote = null; // open triple quote, carried across lines
+  let skippedBlank = false;
+  const indentOf = (line) => line.length - line.trimStart().length;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const stripped = line.trim();
+    if (skipAbove !== null) {
+      if (quote || !stripped || indentOf(line) > skipAbove) {
+        quote = tripleQuoteState(line, quote);
+        skippedBlank = !stripped;
+        continue;
+      }
+      skipAbove = null;
+      // Keep the blank line that separated the body from what follows
+      if (skippedBlank) out.push('');
+    }
+    if (quote) {
+      out.push(line);
+      quote = tripleQuoteState(line, quote);
+      continue;
+    }
+
+    const def = /^(async\s+)?def\s/.test(stripped);
+    if (!def) {
+      out.push(line);
+      quote = tripleQuoteState(line, quote);
+      continue;
+    }
+
+    // The signature runs until the ":" outside brackets
+    const indent = indentOf(line);
+    let depth = 0;
+    let end = i;
+    for (; end < lines.length; end++) {
+      depth += bracketBalance(lines[end]);
+      out.push(lines[end]);
+      if (depth <= 0) break;
+    }
+    i = end;
+    // A one-line def ("def f(): return 1") has no body to elide
+    if (!/:\s*(#.*)?$/.test((lines[end] || '').trim())) continue;
+
+    // Keep the docstring, then elide the rest of the body
+    let next = i + 1;
+    while (next < lines.length && !lines[next].trim()) next++;
+    const body = lines[next] || '';
+    const bodyIndent = ' '.repeat(indentOf(body) > indent ? indentOf(body) : indent + 4);
+    if (/^[rubf]*("""|''')/i.test(body.trim())) {
+      let docQuote = null;
+      for (; next < lines.length; next++) {
+        out.push(lines[next]);
+        docQuote = tripleQuoteState(lines[next], docQuote);
+        if (!docQuote) break;
+      }
+      i = next;
+    }
+    out.push(`${bodyIndent}...`);
+    skipAbove = indent;
+  }
+  return out.join('\n');
+}
+
+// Net count of opening minus closing brackets on a line, outside strings and comments
+function bracketBalance(line) {
+  let balance = 0;
+  let quote = null;
+  for (let j = 0; j < line.length; j++) {
+    const c = line[j];
+    if (quote) {
+      if (c === '\\') j++;
+      else if (c === quote) quote = null;
+    } else if (c === '#') {
+      break;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if ('([{'.includes(c)) {
+      balance++;
+    } else if (')]}'.includes(c)) {
+      balance--;
+    }
+  }
+  return balance;
+}
+
+// The triple quote left open after `line`, given the one open before it (or null)
+function tripleQuoteState(line, open) {
+  let state = open;
+  let j = 0;
+  while (j < line.length) {
+    if (state) {
+      const close = line.indexOf(state, j);
+      if (close === -1) return state;
+      j = close + 3;
+      state = null;
+      continue;
+    }
+    const rest = line.slice(j);
+    const m = rest.match(/("""|'''|#)/);
+    if (!m || m[1] === '#') return null;
+    state = m[1];
+    j += m.index + 3;
+  }
+  return state;
+}
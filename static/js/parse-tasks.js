@@ -0,0 +1,91 @@
+/**
+ * parse-tasks.js
+ *
+ * The per-file work of a scan. It runs inside parse-worker.js, or on the main
+ * thread when Web Workers are unavailable:
+ *   - detect: decide whether a file is text, detect its encoding (or list the
+ *     parts, e.g. a workbook's sheets), tell whether it looks generated, and
+ *     hash it when a rescan needs that to tell an edit apart
+ *   - parse: extract the text of a file with its parser from parsers.js, or
+ *     decode it as plain text
+ */
+import { findParser, MAGIC_BYTES } from './parsers.js';
+import { isTextLikely, hashFile } from './helpers.js';
+import { detectEncoding, decode, readText, SNIFF_BYTES } from './encoding.js';
+import { detectGenerated } from './generated.js';
+
+async function parserFor(file) {
+  const header = new Uint8Array(await file.slice(0, MAGIC_BYTES).arrayBuffer());
+  return findParser({ name: file.name, type: file.type, header });
+}
+
+/**
+ * `override` is the verdict of the user's text/binary rules (null if none),
+ * `hash` a hash from the previous scan that is still valid. Without one, text
+ * files are only hashed when `needsHash` says so (see rescan.js).
+ * `parser` names the parser that claims the file (null for plain text), and
+ * `parts` lists its parts when it has any (null if they can't be read), and
+ * `info` holds the extra node fields from its parser's inspect() (null if none).
+ * With `classify`, plain text files are checked for signs of being generated or
+ * minified: `generated` is the reason they look so, or null.
+ */
+async function detect({ file, override = null, hash = null, needsHash = false, classify = false }) {
+  let isText;
+  let encoding = null;
+  let parts = null;
+  let generated = null;
+  let info = null;
+  const parser = await parserFor(file);
+  if (parser) {
+    isText = override !== null ? override : true;
+    if (isText && parser.listParts) {
+      parts = await Promise.resolve()
+        .then(() => parser.listParts(file))
+        .catch(() => null);
+    }
+    if (isText && parser.inspect) {
+      info = await Promise.resolve()
+        .then(() => parser.inspect(file))
+        .catch(() => null);
+    }
+  } else {
+    const sample = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+    encoding = detectEncoding(sample);
+    isText = override !== null ? override : await isTextLikely(file, encoding);
+    if (isText && classify) {
+      generated = detectGenerated(decode(sample, encoding, { partial: true }));
+    }
+  }
+  return {
+    isText: Boolean(isText),
+    encoding: isText ? encoding : null,
+    parser: parser?.name || null,
+    parts,
+    info,
+    generated,
+    hash: isText ? hash || (needsHash ? await hashFile(file) : null) : null,
+  };
+}
+
+/**
+ * `encoding` is the charset to decode plain text with (detected when null),
+ * `options` the parser options recorded on the file's node at scan time and
+ * `part` the one part of the file to read (all of it when null). With `raw`,
+ * the file's parser is skipped and its bytes are decoded as plain text.
+ */
+async function parse({ file, encoding = null, options = null, part = null, raw = false }) {
+  const parser = raw ? null : await parserFor(file);
+  if (parser) {
+    return parser.parse(file, { encoding, options: { ...parser.options, ...options }, part });
+  }
+  return (await readText(file, encoding)).text;
+}
+
+const tasks = { detect, parse };
+
+export async function runTask(task, payload) {
+  if (!tasks[task]) {
+    throw new Error(`Unknown task: ${task}`);
+  }
+  return tasks[task](payload);
+}
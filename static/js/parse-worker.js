@@ -0,0 +1,31 @@
+/**
+ * parse-worker.js
+ *
+ * Classic Web Worker running parse-tasks.js off the main thread.
+ * Messages: { id, task, payload } -> { id, result } or { id, error }.
+ *
+ * The parsing libraries are loaded with importScripts; pdf.worker is loaded too
+ * so pdf.js runs in this worker instead of spawning another one. Its own
+ * messages carry no `id` and are ignored on both sides.
+ */
+importScripts(
+  '../../lib/localforage.min.js',
+  'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js'
+);
+pdfjsLib.GlobalWorkerOptions.workerSrc =
+  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+const tasksReady = import('./parse-tasks.js');
+
+self.addEventListener('message', async (event) => {
+  const { id, task, payload } = event.data || {};
+  if (!id || !task) return;
+  try {
+    const { runTask } = await tasksReady;
+    self.postMessage({ id, result: await runTask(task, payload) });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+});
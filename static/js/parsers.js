@@ -0,0 +1,185 @@
+/**
+ * parsers.js
+ *
+ * The parser registry. Every format that needs more than decoding its bytes
+ * as text is declared here, with:
+ *   - name: unique id
+ *   - label: shown in the settings
+ *   - extensions: e.g. ['.pdf'], matched against the end of the file name
+ *   - mimeTypes: e.g. ['application/pdf'], matched against File.type
+ *   - magic: byte signatures at the start of the file, as strings ('%PDF-')
+ *     or arrays of byte values
+ *   - parse(file, { options, part, encoding }): resolves to the file's text
+ *   - options: default parser options; with `settingsKey`, the project rules
+ *     hold the user's values under that key
+ *   - listParts(file) (optional): names of parts (e.g. sheets) shown in the
+ *     tree as children of the file and selectable on their own, parsed with
+ *     `part` set; `icon` is the icon of such a file in the tree
+ *   - inspect(file) (optional): extra fields for the file's tree node, read at
+ *     scan time (e.g. an image's size)
+ *
+ * Both text detection and content loading go through findParser(); files no
+ * parser claims are sniffed and decoded as plain text. Add your own formats
+ * with registerParser() in custom-parsers.js, which is loaded on the main
+ * thread and in the parse workers alike.
+ */
+import {
+  parsePDFFile,
+  DEFAULT_PDF_OPTIONS,
+  listSpreadsheetSheets,
+  parseSpreadsheetFile,
+  parseSpreadsheetSheet,
+  DEFAULT_SPREADSHEET_OPTIONS,
+  parseDocxFile,
+  parsePptxFile,
+  parseOdtFile,
+  parseNotebook,
+  DEFAULT_NOTEBOOK_OPTIONS,
+} from './indexing.js';
+import { readText } from './encoding.js';
+import { IMAGE_TYPES, DEFAULT_IMAGE_OPTIONS, imageInfo, parseImageFile } from './images.js';
+
+// How many leading bytes magic signatures may look at
+export const MAGIC_BYTES = 16;
+
+const parsers = [];
+
+/**
+ * Add a parser. A later parser with the same name replaces the earlier one,
+ * so built-in formats can be overridden too.
+ */
+export function registerParser(parser) {
+  if (!parser?.name || typeof parser.parse !== 'function') {
+    throw new Error('A parser needs a name and a parse function');
+  }
+  const normalized = {
+    extensions: [],
+    mimeTypes: [],
+    magic: [],
+    options: {},
+    ...parser,
+  };
+  normalized.extensions = normalized.extensions.map((ext) => ext.toLowerCase());
+  normalized.magic = normalized.magic.map((sig) =>
+    typeof sig === 'string' ? Array.from(sig, (ch) => ch.charCodeAt(0)) : sig
+  );
+  const idx = parsers.findIndex((p) => p.name === parser.name);
+  if (idx === -1) {
+    parsers.push(normalized);
+  } else {
+    parsers[idx] = normalized;
+  }
+  return normalized;
+}
+
+export function listParsers() {
+  return [...parsers];
+}
+
+export function getParser(name) {
+  return parsers.find((p) => p.name === name) || null;
+}
+
+/**
+ * The parser for a file: by extension of `name` first, then by MIME `type`,
+ * then by the magic bytes at the start of `header` (a Uint8Array).
+ * Resolves to null for plain text and unknown binaries.
+ */
+export function findParser({ name = '', type = '', header = null }) {
+  const lower = name.toLowerCase();
+  return (
+    parsers.find((p) => p.extensions.some((ext) => lower.endsWith(ext))) ||
+    (type && parsers.find((p) => p.mimeTypes.includes(type))) ||
+    (header &&
+      parsers.find((p) =>
+        p.magic.some((sig) => sig.length <= header.length && sig.every((b, i) => header[i] === b))
+      )) ||
+    null
+  );
+}
+
+/**
+ * The options `parser` runs with under the project `rules`.
+ */
+export function parserOptions(parser, rules = {}) {
+  const saved = parser.settingsKey ? rules[parser.settingsKey] : null;
+  return { ...parser.options, ...(saved || {}) };
+}
+
+registerParser({
+  name: 'pdf',
+  label: 'PDFs',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  magic: ['%PDF-'],
+  options: { ...DEFAULT_PDF_OPTIONS },
+  settingsKey: 'pdf',
+  parse: (file, { options }) => parsePDFFile(file, options),
+});
+
+registerParser({
+  name: 'spreadsheet',
+  label: 'Spreadsheets',
+  extensions: ['.xls', '.xlsx', '.xlsm', '.xlsb', '.xlt', '.ods', '.fods', '.numbers'],
+  mimeTypes: [
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.oasis.opendocument.spreadsheet',
+  ],
+  options: { ...DEFAULT_SPREADSHEET_OPTIONS },
+  settingsKey: 'spreadsheet',
+  icon: '📊',
+  listParts: (file) => listSpreadsheetSheets(file),
+  parse: (file, { options, part }) =>
+    part === null || part === undefined
+      ? parseSpreadsheetFile(file, options)
+      : parseSpreadsheetSheet(file, part, options),
+});
+
+registerParser({
+  name: 'docx',
+  label: 'Word documents',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  parse: (file) => parseDocxFile(file),
+});
+
+registerParser({
+  name: 'pptx',
+  label: 'PowerPoint presentations',
+  extensions: ['.pptx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  parse: (file) => parsePptxFile(file),
+});
+
+registerParser({
+  name: 'odt',
+  label: 'OpenDocument text',
+  extensions: ['.odt'],
+  mimeTypes: ['application/vnd.oasis.opendocument.text'],
+  parse: (file) => parseOdtFile(file),
+});
+
+registerParser({
+  name: 'notebook',
+  label: 'Jupyter notebooks',
+  extensions: ['.ipynb'],
+  mimeTypes: ['application/x-ipynb+json'],
+  options: { ...DEFAULT_NOTEBOOK_OPTIONS },
+  settingsKey: 'notebook',
+  parse: async (file, { options, encoding }) =>
+    parseNotebook((await readText(file, encoding)).text, options),
+});
+
+registerParser({
+  name: 'image',
+  label: 'Images',
+  extensions: Object.keys(IMAGE_TYPES),
+  options: { ...DEFAULT_IMAGE_OPTIONS },
+  settingsKey: 'images',
+  inspect: async (file) => ({ image: await imageInfo(file) }),
+  parse: (file, { options }) => parseImageFile(file, options),
+});
+
+// In-house formats register themselves here
+await import('./custom-parsers.js');
@@ -0,0 +1,145 @@
+/**
+ * parts.js
+ *
+ * Chunked output, for selections larger than a model's context window: the
+ * documents are packed, in order, into parts of at most `budget` tokens, to
+ * be pasted one after another. Every part is headed "Part k of n" and repeats
+ * the folder structure; the preamble opens the first part and the postamble
+ * closes the last. A document too large for a part of its own is split at
+ * line boundaries into pieces, marked piece="i/m".
+ *
+ * Sizes are estimated like calculateTokens does (4 characters a token, images
+ * by their own estimate), on the documents as rendered: JSON escapes newlines
+ * and quotes, so the same file takes more room there than in XML.
+ */
+import { calculateTokens } from './helpers.js';
+import { renderOutput } from './formats.js';
+
+/**
+ * The prompt as parts of at most `budget` tokens: [{ text, tokens }].
+ * `options`: { format, template, preamble, postamble } as for the whole output.
+ * Throws when `budget` leaves a part no room for documents.
+ */
+export function renderParts(folders, documents, budget, options = {}) {
+  const { format, template, preamble = '', postamble = '' } = options;
+  const render = (docs, part) => renderOutput(folders, docs, format, template, part);
+  // What every part holds besides its documents ("Part 10 of 10" is as long as it gets)
+  const fixed =
+    estimate(render([], { index: 10, total: 10 })) + estimate(preamble) + estimate(postamble);
+  const capacity = budget - fixed;
+  if (capacity <= 0) {
+    throw new Error(
+      `Parts of ${budget} tokens leave no room for files: ` +
+        `the heading, folder structure and prompt of each part take ${fixed}`
+    );
+  }
+  // A document's cost as rendered, tags or headings included (images go by their estimate)
+  const cost = (doc) =>
+    doc.tokens !== undefined
+      ? calculateTokens([doc]) + estimate(render([{ ...doc, content: '' }]))
+      : estimate(render([doc]));
+
+  const packed = [];
+  let current = [];
+  let used = 0;
+  for (const doc of documents) {
+    for (const piece of cost(doc) > capacity ? splitDocument(doc, capacity, cost, render) : [doc]) {
+      const tokens = cost(piece);
+      if (current.length && used + tokens > capacity) {
+        packed.push(current);
+        current = [];
+        used = 0;
+      }
+      current.push(piece);
+      used += tokens;
+    }
+  }
+  if (current.length || !packed.length) packed.push(current);
+
+  return packed.map((docs, idx) => {
+    const part = { index: idx + 1, total: packed.length };
+    const text = [idx === 0 ? preamble : '', render(docs, part), part.index === part.total ? postamble : '']
+      .filter(Boolean)
+      .join('\n\n');
+    // Images count by their estimate, not by the length of their base64
+    const images = docs.filter((doc) => doc.tokens !== undefined);
+    const imageChars = images.reduce((sum, doc) => sum + doc.content.length, 0);
+    const imageTokens = images.reduce((sum, doc) => sum + doc.tokens, 0);
+    return { text, tokens: Math.ceil((text.length - imageChars) / 4) + imageTokens };
+  });
+}
+
+function estimate(text) {
+  return calculateTokens([{ content: text }]);
+}
+
+/**
+ * `doc` cut at line boundaries into pieces of at most `capacity` tokens each
+ * (a single longer line is cut where it must be), measured as `render` writes
+ * them. Images can't be cut: they stay whole, in a part of their own. Throws
+ * when the tags around `doc` alone fill a piece.
+ */
+function splitDocument(doc, capacity, cost, render) {
+  if (doc.tokens !== undefined) return [doc];
+  const overhead = cost({ ...doc, content: '' });
+  // Rendered characters per piece, at 4 a token
+  const room = (capacity - overhead) * 4;
+  if (room <= 0) {
+    throw new Error(
+      `Parts are too small to hold ${doc.path}: its tags take ${overhead} tokens, ` +
+        `and a part has ${capacity} left for files`
+    );
+  }
+  // The rendered length of `text` as (part of) the document's contents
+  const empty = render([{ ...doc, content: '' }]).length;
+  const measure = (text) => render([{ ...doc, content: text }]).length - empty;
+  const chunks = [];
+  let lines = [];
+  let length = 0;
+  let firstLine = 1; // the piece's first line in the document's contents
+  let lineNo = 1;
+  const flush = () => {
+    if (!lines.length) return;
+    chunks.push({ content: lines.join('\n'), from: firstLine, to: lineNo - 1 });
+    lines = [];
+    length = 0;
+    firstLine = lineNo;
+  };
+  for (const line of doc.content.split('\n')) {
+    const size = measure(`${line}\n`);
+    if (lines.length && length + size > room) flush();
+    if (size > room) {
+      // One line larger than a whole piece (minified code, data), cut where it must be
+      for (let i = 0; i < line.length; ) {
+        let slice = line.slice(i, i + room);
+        while (slice.length > 1 && measure(slice) > room) {
+          const fits = Math.floor((slice.length * room) / measure(slice));
+          slice = slice.slice(0, Math.min(slice.length - 1, fits));
+        }
+        chunks.push({ content: slice, from: lineNo, to: lineNo });
+        i += slice.length;
+      }
+      lineNo++;
+      firstLine = lineNo;
+      continue;
+    }
+    lines.push(line);
+    length += size;
+    lineNo++;
+  }
+  flush();
+
+  // Pieces of a plain file can say which lines they hold; truncated files and
+  // outlines don't map content lines to file lines one to one
+  const range = !doc.attrs.truncated && !doc.attrs.mode && doc.attrs.lines?.match(/^(\d+)-(\d+)$/);
+  return chunks.map(({ content, from, to }, idx) => {
+    const attrs = { ...doc.attrs, piece: `${idx + 1}/${chunks.length}` };
+    if (range) {
+      const [start, end] = [Number(range[1]), Number(range[2])];
+      attrs.lines = `${start + from - 1}-${Math.min(start + to - 1, end)}`;
+    } else {
+      delete attrs.lines;
+    }
+    return { ...doc, content, attrs };
+  });
+}
@@ -0,0 +1,117 @@
+/**
+ * prompt-editor.js
+ *
+ * The preamble and postamble fields above and below the output, the task
+ * field for {{task}}, and the template library: pick a template to fill the
+ * fields, save the fields as a template of your own, or delete one.
+ * Edits go to the store (and so into the output and the token estimate)
+ * shortly after typing stops.
+ */
+import { actions } from './actions.js';
+import { loadPromptTemplates, savePromptTemplate, deletePromptTemplate } from './prompts.js';
+
+// Wait for a pause in typing before re-rendering the output
+const EDIT_DELAY = 300;
+
+export class PromptEditor {
+  constructor(store) {
+    this.store = store;
+    this.select = document.getElementById('promptTemplateSelect');
+    this.fields = {
+      task: document.getElementById('promptTask'),
+      preamble: document.getElementById('promptPreamble'),
+      postamble: document.getElementById('promptPostamble'),
+    };
+    this.deleteButton = document.getElementById('deletePromptTemplateBtn');
+    this.templates = [];
+    this._editTimeout = null;
+
+    for (const [key, field] of Object.entries(this.fields)) {
+      field.value = store.getState().prompt?.[key] || '';
+      field.addEventListener('input', () => this.edit());
+    }
+    this.select.addEventListener('change', () => {
+      this.apply(this.select.value);
+    });
+    document.getElementById('savePromptTemplateBtn').addEventListener('click', () => {
+      this.saveTemplate();
+    });
+    this.deleteButton.addEventListener('click', () => {
+      this.deleteTemplate();
+    });
+    this.renderTemplates();
+  }
+
+  async renderTemplates() {
+    this.templates = await loadPromptTemplates();
+    const current = this.store.getState().prompt?.template || '';
+    this.select.innerHTML = '';
+    this.select.append(new Option('No template', ''));
+    for (const { name, builtIn } of this.templates) {
+      this.select.append(new Option(builtIn ? name : `${name} (mine)`, name));
+    }
+    this.select.value = this.templates.some((t) => t.name === current) ? current : '';
+    this.updateDeleteButton();
+  }
+
+  updateDeleteButton() {
+    const template = this.templates.find((t) => t.name === this.select.value);
+    this.deleteButton.hidden = !template || template.builtIn;
+  }
+
+  /**
+   * Fill the preamble and postamble from the template `name` ('' clears them).
+   */
+  async apply(name) {
+    const template = this.templates.find((t) => t.name === name);
+    this.fields.preamble.value = template?.preamble || '';
+    this.fields.postamble.value = template?.postamble || '';
+    this.updateDeleteButton();
+    clearTimeout(this._editTimeout);
+    await this.store.dispatch(
+      actions.setPrompt({
+        template: name,
+        preamble: this.fields.preamble.value,
+        postamble: this.fields.postamble.value,
+        task: this.fields.task.value,
+      })
+    );
+    await this.store.dispatch(actions.updateStats());
+  }
+
+  edit() {
+    clearTimeout(this._editTimeout);
+    this._editTimeout = setTimeout(async () => {
+      await this.store.dispatch(
+        actions.setPrompt({
+          preamble: this.fields.preamble.value,
+          postamble: this.fields.postamble.value,
+          task: this.fields.task.value,
+        })
+      );
+      await this.store.dispatch(actions.updateStats());
+    }, EDIT_DELAY);
+  }
+
+  async saveTemplate() {
+    const current = this.templates.find((t) => t.name === this.select.value);
+    const suggested = current?.builtIn ? '' : this.select.value;
+    const name = prompt('Save the preamble and postamble as template:', suggested);
+    if (!name?.trim()) return;
+    await savePromptTemplate({
+      name: name.trim(),
+      preamble: this.fields.preamble.value,
+      postamble: this.fields.postamble.value,
+    });
+    await this.store.dispatch(actions.setPrompt({ template: name.trim() }));
+    await this.renderTemplates();
+  }
+
+  async deleteTemplate() {
+    const name = this.select.value;
+    if (!confirm(`Delete the template "${name}"?`)) return;
+    await deletePromptTemplate(name);
+    await this.store.dispatch(actions.setPrompt({ template: '' }));
+    await this.renderTemplates();
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * prompts.js
+ *
+ * The instructions around the generated content: a preamble written above the
+ * folder structures and documents, and a postamble below them. Both may use:
+ *   - {{fileCount}}: the number of selected files
+ *   - {{tokenCount}}: the estimated tokens of their contents
+ *   - {{rootName}}: the names of the root folders
+ *   - {{task}}: what the user typed in the task field
+ *
+ * Templates ({ name, preamble, postamble }) are either built in (PROMPT_TEMPLATES)
+ * or saved by the user in metadataDB, for every project.
+ */
+import { metadataDB } from './helpers.js';
+import { fillTemplate } from './formats.js';
+
+const TEMPLATES_KEY = 'promptTemplates';
+
+// state.prompt: the template it started from ('' for none) and the texts as edited
+export const DEFAULT_PROMPT = Object.freeze({ template: '', preamble: '', postamble: '', task: '' });
+
+export const PROMPT_TEMPLATES = Object.freeze([
+  {
+    name: 'Code review',
+    preamble:
+      'Below are {{fileCount}} files (about {{tokenCount}} tokens) from {{rootName}}, ' +
+      'with its folder structure first.\n\n{{task}}',
+    postamble:
+      'Review the code above as a senior engineer would. List bugs, race conditions, ' +
+      'security issues and unclear code, most severe first, citing the file path and ' +
+      'the code in question for each, and suggest a fix.',
+  },
+  {
+    name: 'Write tests',
+    preamble: 'Below are {{fileCount}} files from {{rootName}}.\n\n{{task}}',
+    postamble:
+      'Write unit tests for the code above, in the test framework and style the project ' +
+      'already uses. Cover edge cases and error paths, not only the happy path, and say ' +
+      'which file each test belongs in.',
+  },
+  {
+    name: 'Explain architecture',
+    preamble: 'Below are {{fileCount}} files from {{rootName}}, with its folder structure first.',
+    postamble:
+      'Explain the architecture of this code: its main modules and what each is ' +
+      'responsible for, how data flows between them, and the conventions a new ' +
+      'contributor should follow.\n\n{{task}}',
+  },
+  {
+    name: 'Find bugs',
+    preamble: 'Below are {{fileCount}} files from {{rootName}}.\n\n{{task}}',
+    postamble:
+      'Find the bugs in the code above. For each, give the file path, the code in ' +
+      'question, the input or sequence of events that triggers it, and a fix. Only ' +
+      'report problems you can point to in the code.',
+  },
+]);
+
+/**
+ * The built-in templates, then the user's, as [{ name, preamble, postamble, builtIn }].
+ * A user template named like a built-in one takes its place.
+ */
+export async function loadPromptTemplates() {
+  const saved = (await metadataDB.getItem(TEMPLATES_KEY)) || [];
+  const names = new Set(saved.map(({ name }) => name));
+  return [
+    ...PROMPT_TEMPLATES.filter(({ name }) => !names.has(name)).map((t) => ({ ...t, builtIn: true })),
+    ...saved,
+  ];
+}
+
+/**
+ * Save `template` ({ name, preamble, postamble }), replacing the user's template of that name.
+ */
+export async function savePromptTemplate({ name, preamble, postamble }) {
+  const saved = (await metadataDB.getItem(TEMPLATES_KEY)) || [];
+  const others = saved.filter((t) => t.name !== name);
+  await metadataDB.setItem(TEMPLATES_KEY, [...others, { name, preamble, postamble }]);
+}
+
+export async function deletePromptTemplate(name) {
+  const saved = (await metadataDB.getItem(TEMPLATES_KEY)) || [];
+  await metadataDB.setItem(TEMPLATES_KEY, saved.filter((t) => t.name !== name));
+}
+
+/**
+ * The values of the prompt variables for `state`, where the selected files'
+ * contents are estimated at `tokenCount` tokens.
+ */
+export function promptVariables(state, tokenCount = state.stats.documentTokens || 0) {
+  return {
+    fileCount: state.selectedPaths.size,
+    tokenCount,
+    rootName: (state.root?.children || []).map((root) => root.name).join(', '),
+    task: state.prompt?.task || '',
+  };
+}
+
+/**
+ * The preamble and postamble of `prompt` with the variables filled in, trimmed.
+ */
+export function expandPrompt(prompt, variables) {
+  const { preamble, postamble } = { ...DEFAULT_PROMPT, ...prompt };
+  return {
+    preamble: fillTemplate(preamble, variables).trim(),
+    postamble: fillTemplate(postamble, variables).trim(),
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * rescan.js
+ *
+ * Compares a fresh scan of a folder against the tree stored from the previous
+ * scan, so we can keep selections, badge what changed and skip re-parsing
+ * files that are the same as before.
+ */
+import { walkTree, insertNode } from './helpers.js';
+
+/**
+ * Map of path -> node for the files of a tree that still exist
+ * (ignored entries and "removed" placeholders are left out). Files shown as
+ * folders of their parts (e.g. workbooks) are in it too, so a rescan can reuse
+ * their hash.
+ */
+export function indexFiles(root) {
+  const files = new Map();
+  if (!root) return files;
+  walkTree(root, (node) => {
+    if ((!node.isDir || node.hasParts) && !node.ignoredBy && node.change !== 'removed') {
+      files.set(node.path, node);
+    }
+  });
+  return files;
+}
+
+/**
+ * Whether the previous scan's hash can be reused for `file` without reading it.
+ */
+export function canReuseHash(previousNode, file) {
+  return Boolean(
+    previousNode?.hash &&
+      previousNode.size === file.size &&
+      previousNode.lastModified === file.lastModified
+  );
+}
+
+/**
+ * Whether `file` has to be hashed to tell if it changed: the same size as the
+ * previous node but touched since, which is often no edit at all (a checkout,
+ * a save without changes). Anything else goes by size and lastModified alone.
+ */
+export function needsHash(previousNode, file) {
+  return Boolean(
+    previousNode &&
+      previousNode.size === file.size &&
+      previousNode.lastModified !== file.lastModified
+  );
+}
+
+function isSameFile(previousNode, node) {
+  if (previousNode.size !== node.size) return false;
+  if (previousNode.hash && node.hash) return previousNode.hash === node.hash;
+  return previousNode.lastModified === node.lastModified;
+}
+
+/**
+ * Badge the files of `next` as "added" or "modified" relative to `previous`,
+ * and add "removed" placeholders for files that disappeared.
+ * Returns { added, modified, removed, unchanged } as arrays of paths.
+ */
+export function diffTrees(previous, next) {
+  // Files with parts are compared through their parts, which share their hash
+  const withoutParts = (root) =>
+    new Map([...indexFiles(root)].filter(([, node]) => !node.hasParts));
+  const previousFiles = withoutParts(previous);
+  const changes = { added: [], modified: [], removed: [], unchanged: [] };
+
+  for (const [path, node] of withoutParts(next)) {
+    const previousNode = previousFiles.get(path);
+    previousFiles.delete(path);
+    if (!previousNode) {
+      node.change = 'added';
+      changes.added.push(path);
+    } else if (!isSameFile(previousNode, node)) {
+      node.change = 'modified';
+      changes.modified.push(path);
+    } else {
+      changes.unchanged.push(path);
+    }
+  }
+
+  // Whatever is left was not found by the new scan
+  for (const [path, previousNode] of previousFiles) {
+    insertNode(next, path.split('/'), {
+      isDir: false,
+      size: previousNode.size,
+      isTextFile: false,
+      change: 'removed',
+    });
+    changes.removed.push(path);
+  }
+
+  return changes;
+}
+
+/**
+ * Remove the badges and "removed" placeholders of an earlier diff.
+ */
+export function clearChanges(node) {
+  delete node.change;
+  if (node.children) {
+    node.children = node.children.filter((child) => child.change !== 'removed');
+    node.children.forEach(clearChanges);
+  }
+  return node;
+}
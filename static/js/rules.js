@@ -0,0 +1,216 @@
+/**
+ * rules.js
+ *
+ * User-editable scan rules, persisted per project in metadataDB:
+ *   - exclude: glob rules for files/folders to leave out of the scan
+ *   - include: glob rules that force files in, even if excluded or gitignored
+ *   - text / binary: glob rules that override the text-vs-binary detection
+ *   - generated: glob rules for generated files (lock files, minified bundles, stubs)
+ *   - generatedFiles: { detect, selectAll }: whether generated files are flagged (by
+ *     the rules above and the content heuristics of generated.js), and whether
+ *     Select All selects them anyway
+ *   - showDotfiles: whether files and folders starting with "." are scanned
+ *   - sizeLimit: { maxBytes, policy, lines } for files larger than maxBytes, where
+ *     policy is one of TRUNCATE_POLICIES ('full', 'skip', 'head', 'tail', 'head-tail')
+ *   - one entry per parser with a `settingsKey` in parsers.js, holding its options:
+ *     notebook ({ outputs, maxOutputChars, stripImages }), spreadsheet (see
+ *     DEFAULT_SPREADSHEET_OPTIONS), pdf ({ layout, pageMarkers }) and images
+ *     ({ include, format, maxDimension }) among them. Images are binary and left
+ *     out by the exclude rules unless `images.include` opts them in
+ *
+ * Rules use .gitignore syntax (case-insensitive) relative to the project root.
+ */
+import { metadataDB } from './helpers.js';
+import { GitignoreMatcher, parseRule, formatRule } from './gitignore.js';
+import { listParsers, findParser, parserOptions } from './parsers.js';
+import { isImage, DEFAULT_IMAGE_OPTIONS } from './images.js';
+
+export const RULE_LISTS = ['exclude', 'include', 'text', 'binary', 'generated'];
+
+export const DEFAULT_RULES = Object.freeze({
+  exclude: [
+    'node_modules/', 'venv/', '.git/', '__pycache__/', '.idea/', '.vscode/',
+    '.DS_Store', 'Thumbs.db', '*.env', '*.pyc', '*.jpg', '*.jpeg', '*.png', '*.gif',
+    '*.mp4', '*.mov', '*.avi', '*.webp', '*.mkv', '*.wmv', '*.flv', '*.svg', '*.gz', '!*.tar.gz',
+    '*.rar', '*.exe', '*.bin', '*.iso', '*.dll', '*.psd', '*.ai', '*.eps', '*.tiff', '*.woff',
+    '*.woff2', '*.ttf', '*.otf', '*.flac', '*.m4a', '*.aac', '*.3gp',
+  ],
+  include: [],
+  text: [
+    '*.txt', '*.md', '*.markdown', '*.json', '*.js', '*.ts', '*.jsx', '*.tsx', '*.css', '*.scss', '*.sass',
+    '*.less', '*.html', '*.htm', '*.xml', '*.yaml', '*.yml', '*.ini', '*.conf', '*.cfg', '*.config', '*.py',
+    '*.rb', '*.php', '*.java', '*.c', '*.cpp', '*.h', '*.hpp', '*.cs', '*.go', '*.rs', '*.swift', '*.kt', '*.kts',
+    '*.sh', '*.bash', '*.zsh', '*.fish', '*.sql', '*.graphql', '*.vue', '*.svelte', '*.astro', '*.env.example',
+    '.gitignore', '.dockerignore', '.editorconfig', '.eslintrc', '.prettierrc', '.babelrc', 'LICENSE*',
+    'README*', 'CHANGELOG*', 'TODO*', '*.csv', '*.tsv',
+  ],
+  binary: [],
+  generated: [
+    'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb',
+    'Cargo.lock', 'Gemfile.lock', 'composer.lock', 'poetry.lock', 'Pipfile.lock', 'go.sum',
+    'mix.lock', 'pubspec.lock', 'flake.lock', '*.min.js', '*.min.css', '*.map', '*.bundle.js',
+    '*_pb2.py', '*_pb2_grpc.py', '*.pb.go', '*_pb.js', '*_pb.d.ts', '*.pb.h', '*.pb.cc',
+    '*.g.dart', '*.freezed.dart', '*.Designer.cs', '*.generated.*',
+  ],
+  generatedFiles: { detect: true, selectAll: false },
+  showDotfiles: true,
+  sizeLimit: { maxBytes: 1024 * 1024, policy: 'head-tail', lines: 200 },
+  ...Object.fromEntries(
+    listParsers()
+      .filter((parser) => parser.settingsKey)
+      .map((parser) => [parser.settingsKey, { ...parser.options }])
+  ),
+});
+
+/**
+ * Storage key for a project's rules. An empty project name holds the
+ * defaults used by projects that have no rules of their own yet.
+ */
+function rulesKey(project) {
+  return `scanRules:${project || ''}`;
+}
+
+export function defaultRules() {
+  return structuredClone({ ...DEFAULT_RULES });
+}
+
+/**
+ * Load the rules for `project`, falling back to the user defaults,
+ * then to the built-in lists.
+ */
+export async function loadRules(project) {
+  const saved =
+    (project && (await metadataDB.getItem(rulesKey(project)))) ||
+    (await metadataDB.getItem(rulesKey('')));
+  return { ...defaultRules(), ...(saved || {}) };
+}
+
+export async function saveRules(project, rules) {
+  await metadataDB.setItem(rulesKey(project), rules);
+}
+
+/**
+ * Restore the built-in lists for `project` (or for the user defaults).
+ */
+export async function resetRules(project) {
+  if (project) {
+    // Store the built-in lists explicitly so customized user defaults don't apply either
+    await metadataDB.setItem(rulesKey(project), defaultRules());
+  } else {
+    await metadataDB.removeItem(rulesKey(project));
+  }
+  return defaultRules();
+}
+
+/**
+ * Compile `rules` for a scan of the project rooted at `root` (the first path segment).
+ */
+export function createRuleSet(rules, root) {
+  const compile = (patterns, source) => {
+    const matcher = new GitignoreMatcher({ ignoreCase: true });
+    matcher.addRules(
+      root,
+      patterns.map((pattern) => parseRule(pattern, { base: root, source, ignoreCase: true }))
+    );
+    return matcher;
+  };
+  const { include: includeImages } = { ...DEFAULT_IMAGE_OPTIONS, ...rules.images };
+  // Opting images in lifts the rules that exclude them by extension ("*.png"), not
+  // the folder rules: images under node_modules/ stay out
+  const excludePatterns = (rules.exclude || []).filter(
+    (pattern) => !(includeImages && pattern.startsWith('*.') && isImage(pattern))
+  );
+  const exclude = compile(excludePatterns, 'exclude rule');
+  const include = compile(rules.include || [], 'include rule');
+  const text = compile(rules.text || [], 'text rule');
+  const binary = compile(rules.binary || [], 'binary rule');
+  const generated = compile(rules.generated || [], 'generated rule');
+  const { detect: detectGenerated } = { ...DEFAULT_RULES.generatedFiles, ...rules.generatedFiles };
+
+  return {
+    /**
+     * Returns { ignored, path, isDir, reason } for paths left out by the settings.
+     */
+    matchExcluded(path) {
+      if (include.match(path).ignored) {
+        return { ignored: false };
+      }
+      if (!rules.showDotfiles) {
+        const parts = path.split('/');
+        const idx = parts.findIndex((part, i) => i > 0 && part.startsWith('.'));
+        if (idx !== -1) {
+          return {
+            ignored: true,
+            path: parts.slice(0, idx + 1).join('/'),
+            isDir: idx < parts.length - 1,
+            reason: 'hidden dotfile',
+          };
+        }
+      }
+      const result = exclude.match(path);
+      if (!result.ignored) return { ignored: false };
+      return { ...result, reason: formatRule(result.rule) };
+    },
+
+    /**
+     * Why the folder at `path` is left out as a whole (so a scan needn't read it),
+     * or null. With include rules every folder is read, as they can pick files
+     * out of excluded ones.
+     */
+    excludedDir(path) {
+      if (rules.include?.length) return null;
+      if (!rules.showDotfiles && path.split('/').some((part, i) => i > 0 && part.startsWith('.'))) {
+        return 'hidden dotfile';
+      }
+      const result = exclude.match(path, true);
+      return result.ignored ? formatRule(result.rule) : null;
+    },
+
+    isForceIncluded(path) {
+      return include.match(path).ignored;
+    },
+
+    /**
+     * true / false when a text or binary rule decides, null to fall back to detection.
+     * Binary rules win over text rules; images are text (selectable) only when opted in.
+     */
+    textOverride(path) {
+      if (binary.match(path).ignored) return false;
+      if (isImage(path)) return includeImages;
+      if (text.match(path).ignored) return true;
+      return null;
+    },
+
+    /**
+     * Whether to look for generated files at all.
+     */
+    detectGenerated,
+
+    /**
+     * The generated rule matching `path` (formatted), or null.
+     */
+    matchGenerated(path) {
+      if (!detectGenerated) return null;
+      const result = generated.match(path);
+      return result.ignored ? formatRule(result.rule) : null;
+    },
+
+    /**
+     * The size limit that applies to a file of `size` bytes, or null when it's small
+     * enough (or the policy is to include large files in full).
+     */
+    sizeLimit(size) {
+      const limit = rules.sizeLimit;
+      if (!limit || limit.policy === 'full' || size <= limit.maxBytes) return null;
+      return limit;
+    },
+
+    /**
+     * Options for the parser of the file at `path`, or null when it takes none.
+     */
+    parseOptions(path) {
+      const parser = findParser({ name: path });
+      return parser?.settingsKey ? parserOptions(parser, rules) : null;
+    },
+  };
+}
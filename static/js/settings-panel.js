@@ -0,0 +1,472 @@
+/**
+ * settings-panel.js
+ *
+ * The "Settings" dialog: lets the user add, remove and reorder the scan rules
+ * of each root folder in the workspace (or the defaults for new projects),
+ * toggle dotfiles, set the size limit for large files, choose how generated
+ * files are treated, how notebooks, spreadsheets and PDFs are parsed and
+ * whether images are included. Rules are saved through rules.js and used on
+ * the next scan.
+ */
+import { RULE_LISTS, loadRules, saveRules, resetRules } from './rules.js';
+import { TRUNCATE_POLICIES } from './documents.js';
+
+const LIST_LABELS = {
+  exclude: 'Exclude',
+  include: 'Always include',
+  text: 'Treat as text',
+  binary: 'Treat as binary',
+  generated: 'Generated files',
+};
+
+const POLICY_LABELS = {
+  full: 'include them in full',
+  skip: 'skip them',
+  head: 'keep the first N lines',
+  tail: 'keep the last N lines',
+  'head-tail': 'keep the first and last N lines',
+};
+
+const IMAGE_FORMAT_LABELS = {
+  block: '<image path mime> blocks',
+  'data-uri': 'data URIs in <document> tags',
+};
+
+export class SettingsPanel {
+  constructor(store) {
+    this.store = store;
+    this.dialog = document.getElementById('settingsDialog');
+    this.body = document.getElementById('settingsBody');
+    this.rules = null;
+    this.project = '';
+
+    document.getElementById('settingsButton').addEventListener('click', () => {
+      this.open();
+    });
+    document.getElementById('settingsSaveButton').addEventListener('click', () => {
+      this.save();
+    });
+    document.getElementById('settingsCancelButton').addEventListener('click', () => {
+      this.dialog.close();
+    });
+    document.getElementById('settingsResetButton').addEventListener('click', () => {
+      this.reset();
+    });
+  }
+
+  async open() {
+    const roots = this.store.getState().root?.children || [];
+    await this.selectProject(roots[0]?.name || '');
+    this.dialog.showModal();
+  }
+
+  /**
+   * Switch the dialog to the rules of another root folder ('' for the defaults).
+   */
+  async selectProject(project) {
+    this.project = project;
+    this.rules = await loadRules(project);
+    this.render();
+  }
+
+  async save() {
+    await saveRules(this.project, this.rules);
+    this.dialog.close();
+  }
+
+  async reset() {
+    if (!confirm('Restore the built-in rules? Your custom rules will be lost.')) return;
+    this.rules = await resetRules(this.project);
+    this.render();
+  }
+
+  render() {
+    this.body.innerHTML = '';
+
+    const scope = document.createElement('select');
+    scope.className = 'settings-select';
+    scope.appendChild(new Option('Defaults for new projects', ''));
+    for (const root of this.store.getState().root?.children || []) {
+      scope.appendChild(new Option(`Rules for "${root.name}"`, root.name));
+    }
+    scope.value = this.project;
+    scope.addEventListener('change', () => {
+      this.selectProject(scope.value);
+    });
+    this.body.appendChild(scope);
+
+    const heading = document.createElement('p');
+    heading.className = 'settings-scope';
+    heading.textContent = this.project
+      ? `They apply the next time you scan "${this.project}". Unsaved changes are lost when switching.`
+      : 'Used by folders that have no rules of their own yet.';
+    this.body.appendChild(heading);
+
+    const dotfiles = document.createElement('label');
+    dotfiles.className = 'settings-toggle';
+    const dotfilesCheckbox = document.createElement('input');
+    dotfilesCheckbox.type = 'checkbox';
+    dotfilesCheckbox.checked = this.rules.showDotfiles;
+    dotfilesCheckbox.addEventListener('change', () => {
+      this.rules.showDotfiles = dotfilesCheckbox.checked;
+    });
+    dotfiles.append(dotfilesCheckbox, ' Show dotfiles (files and folders starting with ".")');
+    this.body.appendChild(dotfiles);
+    this.body.appendChild(this.renderSizeLimit());
+    this.body.appendChild(this.renderGeneratedOptions());
+    this.body.appendChild(this.renderNotebookOptions());
+    this.body.appendChild(this.renderSpreadsheetOptions());
+    this.body.appendChild(this.renderPdfOptions());
+    this.body.appendChild(this.renderImageOptions());
+
+    for (const list of RULE_LISTS) {
+      this.body.appendChild(this.renderList(list));
+    }
+  }
+
+  /**
+   * Size threshold (in KB) and what to do with files above it.
+   */
+  renderSizeLimit() {
+    const limit = this.rules.sizeLimit;
+    const section = document.createElement('fieldset');
+    section.className = 'rule-list size-limit';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Large files';
+    section.appendChild(legend);
+
+    const maxKb = document.createElement('input');
+    maxKb.type = 'number';
+    maxKb.min = '1';
+    maxKb.value = Math.round(limit.maxBytes / 1024);
+    maxKb.addEventListener('change', () => {
+      limit.maxBytes = Math.max(1, Number(maxKb.value) || 1) * 1024;
+    });
+
+    const policy = document.createElement('select');
+    for (const name of TRUNCATE_POLICIES) {
+      policy.appendChild(new Option(POLICY_LABELS[name], name));
+    }
+    policy.value = limit.policy;
+
+    const lines = document.createElement('input');
+    lines.type = 'number';
+    lines.min = '1';
+    lines.value = limit.lines;
+    lines.disabled = ['full', 'skip'].includes(limit.policy);
+    lines.addEventListener('change', () => {
+      limit.lines = Math.max(1, Math.floor(Number(lines.value)) || 1);
+    });
+    policy.addEventListener('change', () => {
+      limit.policy = policy.value;
+      lines.disabled = ['full', 'skip'].includes(limit.policy);
+    });
+
+    const row = document.createElement('label');
+    row.className = 'settings-toggle';
+    row.append('Files over ', maxKb, ' KB: ', policy, ' (N = ', lines, ')');
+    section.appendChild(row);
+    return section;
+  }
+
+  /**
+   * Whether generated, minified and lock files are flagged, and whether Select All
+   * takes them too. Their name patterns are the "Generated files" rule list.
+   */
+  renderGeneratedOptions() {
+    const options = this.rules.generatedFiles;
+    const section = document.createElement('fieldset');
+    section.className = 'rule-list size-limit';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Generated files';
+    section.appendChild(legend);
+
+    const detectRow = document.createElement('label');
+    detectRow.className = 'settings-toggle';
+    detectRow.append(
+      this.checkbox(options.detect, (checked) => (options.detect = checked)),
+      ' Flag generated, minified and lock files (🤖)'
+    );
+    const selectRow = document.createElement('label');
+    selectRow.className = 'settings-toggle';
+    selectRow.append(
+      this.checkbox(options.selectAll, (checked) => (options.selectAll = checked)),
+      ' Include them in Select All'
+    );
+
+    section.append(detectRow, selectRow);
+    return section;
+  }
+
+  /**
+   * What to keep of Jupyter notebooks besides their cells' source.
+   */
+  renderNotebookOptions() {
+    const options = this.rules.notebook;
+    const section = document.createElement('fieldset');
+    section.className = 'rule-list size-limit';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Jupyter notebooks';
+    section.appendChild(legend);
+
+    const outputs = this.checkbox(options.outputs, (checked) => {
+      options.outputs = checked;
+      maxChars.disabled = images.disabled = !checked;
+    });
+    const outputsRow = document.createElement('label');
+    outputsRow.className = 'settings-toggle';
+    outputsRow.append(outputs, ' Include cell outputs');
+
+    const maxChars = document.createElement('input');
+    maxChars.type = 'number';
+    maxChars.min = '0';
+    maxChars.value = options.maxOutputChars;
+    maxChars.disabled = !options.outputs;
+    maxChars.addEventListener('change', () => {
+      options.maxOutputChars = Math.max(0, Math.floor(Number(maxChars.value)) || 0);
+    });
+    const maxRow = document.createElement('label');
+    maxRow.className = 'settings-toggle';
+    maxRow.append('Cut each output after ', maxChars, ' characters (0 = no limit)');
+
+    const images = this.checkbox(options.stripImages, (checked) => {
+      options.stripImages = checked;
+    });
+    images.disabled = !options.outputs;
+    const imagesRow = document.createElement('label');
+    imagesRow.className = 'settings-toggle';
+    imagesRow.append(images, ' Strip embedded images');
+
+    section.append(outputsRow, maxRow, imagesRow);
+    return section;
+  }
+
+  /**
+   * Row limit, header detection, output format, formulas and comments of sheets.
+   */
+  renderSpreadsheetOptions() {
+    const options = this.rules.spreadsheet;
+    const section = document.createElement('fieldset');
+    section.className = 'rule-list size-limit';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Spreadsheets';
+    section.appendChild(legend);
+
+    const maxRows = document.createElement('input');
+    maxRows.type = 'number';
+    maxRows.min = '0';
+    maxRows.value = options.maxRows;
+    maxRows.addEventListener('change', () => {
+      options.maxRows = Math.max(0, Math.floor(Number(maxRows.value)) || 0);
+    });
+    const sampling = this.select(
+      { first: 'the first rows', random: 'a random sample' },
+      options.sampling,
+      (value) => (options.sampling = value)
+    );
+    const rowsRow = document.createElement('label');
+    rowsRow.className = 'settings-toggle';
+    rowsRow.append('Keep ', maxRows, ' rows per sheet (0 = all): ', sampling);
+
+    const header = this.select(
+      { auto: 'detect it', 'first-row': 'always the first row', none: 'none' },
+      options.header,
+      (value) => (options.header = value)
+    );
+    const headerRow = document.createElement('label');
+    headerRow.className = 'settings-toggle';
+    headerRow.append('Header row: ', header);
+
+    const format = this.select(
+      { csv: 'CSV', tsv: 'TSV', markdown: 'Markdown table' },
+      options.format,
+      (value) => (options.format = value)
+    );
+    const formatRow = document.createElement('label');
+    formatRow.className = 'settings-toggle';
+    formatRow.append('Output as ', format);
+
+    const formulasRow = document.createElement('label');
+    formulasRow.className = 'settings-toggle';
+    formulasRow.append(
+      this.checkbox(options.formulas, (checked) => (options.formulas = checked)),
+      ' Include formulas'
+    );
+    const commentsRow = document.createElement('label');
+    commentsRow.className = 'settings-toggle';
+    commentsRow.append(
+      this.checkbox(options.comments, (checked) => (options.comments = checked)),
+      ' Include cell comments'
+    );
+
+    section.append(rowsRow, headerRow, formatRow, formulasRow, commentsRow);
+    return section;
+  }
+
+  /**
+   * Layout mode and page markers for PDFs (page ranges are picked per file in the tree).
+   */
+  renderPdfOptions() {
+    const options = this.rules.pdf;
+    const section = document.createElement('fieldset');
+    section.className = 'rule-list size-limit';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'PDFs';
+    section.appendChild(legend);
+
+    const layoutRow = document.createElement('label');
+    layoutRow.className = 'settings-toggle';
+    layoutRow.append(
+      this.checkbox(options.layout, (checked) => (options.layout = checked)),
+      ' Preserve layout (keeps the columns of tables and code listings)'
+    );
+    const markersRow = document.createElement('label');
+    markersRow.className = 'settings-toggle';
+    markersRow.append(
+      this.checkbox(options.pageMarkers, (checked) => (options.pageMarkers = checked)),
+      ' Mark pages with "--- page N ---"'
+    );
+
+    section.append(layoutRow, markersRow);
+    return section;
+  }
+
+  /**
+   * Opt-in images for multimodal prompts: how they're written out and downscaled.
+   */
+  renderImageOptions() {
+    const options = this.rules.images;
+    const section = document.createElement('fieldset');
+    section.className = 'rule-list size-limit';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Images';
+    section.appendChild(legend);
+
+    const include = this.checkbox(options.include, (checked) => {
+      options.include = checked;
+      format.disabled = maxDimension.disabled = !checked;
+    });
+    const includeRow = document.createElement('label');
+    includeRow.className = 'settings-toggle';
+    includeRow.append(include, ' Include .png, .jpg, .webp and .svg files, for multimodal models');
+
+    const format = this.select(IMAGE_FORMAT_LABELS, options.format, (value) => {
+      options.format = value;
+    });
+    format.disabled = !options.include;
+    const formatRow = document.createElement('label');
+    formatRow.className = 'settings-toggle';
+    formatRow.append('Write them as ', format);
+
+    const maxDimension = document.createElement('input');
+    maxDimension.type = 'number';
+    maxDimension.min = '0';
+    maxDimension.value = options.maxDimension;
+    maxDimension.disabled = !options.include;
+    maxDimension.addEventListener('change', () => {
+      options.maxDimension = Math.max(0, Math.floor(Number(maxDimension.value)) || 0);
+    });
+    const sizeRow = document.createElement('label');
+    sizeRow.className = 'settings-toggle';
+    sizeRow.append('Downscale to at most ', maxDimension, ' px on the longest side (0 = keep)');
+
+    section.append(includeRow, formatRow, sizeRow);
+    return section;
+  }
+
+  select(labels, value, onChange) {
+    const select = document.createElement('select');
+    for (const [name, label] of Object.entries(labels)) {
+      select.appendChild(new Option(label, name));
+    }
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  checkbox(checked, onChange) {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onChange(input.checked));
+    return input;
+  }
+
+  /**
+   * One editable list of glob rules, with add / remove / move up / move down.
+   */
+  renderList(list) {
+    const rules = this.rules[list];
+    const section = document.createElement('fieldset');
+    section.className = 'rule-list';
+
+    const legend = document.createElement('legend');
+    legend.textContent = `${LIST_LABELS[list]} (${rules.length})`;
+    section.appendChild(legend);
+
+    const ul = document.createElement('ul');
+    rules.forEach((pattern, idx) => {
+      const li = document.createElement('li');
+      const code = document.createElement('code');
+      code.textContent = pattern;
+      li.appendChild(code);
+      li.appendChild(this.ruleButton('↑', 'Move up', idx === 0, () => this.move(list, idx, -1)));
+      li.appendChild(
+        this.ruleButton('↓', 'Move down', idx === rules.length - 1, () => this.move(list, idx, 1))
+      );
+      li.appendChild(this.ruleButton('×', 'Remove', false, () => this.remove(list, idx)));
+      ul.appendChild(li);
+    });
+    section.appendChild(ul);
+
+    const form = document.createElement('form');
+    form.className = 'rule-add';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'e.g. dist/ or *.min.js';
+    const add = document.createElement('button');
+    add.type = 'submit';
+    add.className = 'button';
+    add.textContent = 'Add';
+    form.append(input, add);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const pattern = input.value.trim();
+      if (!pattern) return;
+      rules.push(pattern);
+      this.render();
+    });
+    section.appendChild(form);
+
+    return section;
+  }
+
+  ruleButton(label, title, disabled, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'button';
+    btn.textContent = label;
+    btn.title = title;
+    btn.disabled = disabled;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  move(list, idx, delta) {
+    const rules = this.rules[list];
+    const [rule] = rules.splice(idx, 1);
+    rules.splice(idx + delta, 0, rule);
+    this.render();
+  }
+
+  remove(list, idx) {
+    this.rules[list].splice(idx, 1);
+    this.render();
+  }
+}
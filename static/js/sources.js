@@ -0,0 +1,155 @@
+/**
+ * sources.js
+ *
+ * Turns the different ways of picking a folder into a flat list of
+ * scan entries: { file, path } where `path` starts with the folder name, or
+ * { path, skipped } for a folder left out unread, `skipped` saying why.
+ *   - <input webkitdirectory> file lists
+ *   - File System Access API directory handles (re-readable without a picker)
+ */
+
+export function supportsDirectoryPicker() {
+  return typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Entries for the files of an <input webkitdirectory>.
+ */
+export function entriesFromFileList(files) {
+  return Array.from(files).map((file) => ({ file, path: file.webkitRelativePath }));
+}
+
+/**
+ * Ask the user for a folder. Resolves to null if the picker is dismissed.
+ */
+export async function pickDirectory() {
+  try {
+    return await window.showDirectoryPicker({ id: 'codebase', mode: 'read' });
+  } catch (err) {
+    if (err.name === 'AbortError') return null;
+    throw err;
+  }
+}
+
+/**
+ * Make sure we may read `handle`. Without `request`, only checks the current
+ * permission; with it, prompts the user (must run inside a user gesture).
+ */
+export async function verifyPermission(handle, request = false) {
+  const opts = { mode: 'read' };
+  if ((await handle.queryPermission(opts)) === 'granted') return true;
+  if (!request) return false;
+  return (await handle.requestPermission(opts)) === 'granted';
+}
+
+/**
+ * Recursively read every file under a directory handle. Folders `skipDir(path)`
+ * gives a reason for (e.g. node_modules/) aren't entered at all.
+ */
+export async function entriesFromDirectoryHandle(
+  handle,
+  prefix = handle.name,
+  skipDir = () => null
+) {
+  const entries = [];
+  for await (const child of handle.values()) {
+    const path = `${prefix}/${child.name}`;
+    const skipped = child.kind === 'directory' && skipDir(path);
+    if (skipped) {
+      entries.push({ path, skipped });
+    } else if (child.kind === 'directory') {
+      entries.push(...(await entriesFromDirectoryHandle(child, path, skipDir)));
+    } else {
+      entries.push({ file: await child.getFile(), path });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Resolve `path` (starting with the folder name) to a File below `handle`.
+ */
+export async function fileFromDirectoryHandle(handle, path) {
+  const parts = path.split('/').slice(1);
+  let dir = handle;
+  for (const part of parts.slice(0, -1)) {
+    dir = await dir.getDirectoryHandle(part);
+  }
+  const fileHandle = await dir.getFileHandle(parts[parts.length - 1]);
+  return fileHandle.getFile();
+}
+
+/**
+ * Collect the files and folders dropped in a drag-and-drop.
+ * Resolves to { entries, directoryHandles } where entry paths start with the
+ * dropped item's name, and `directoryHandles` holds the handles of dropped
+ * folders when the browser provides them (File System Access API).
+ *
+ * DataTransfer items are only readable during the drop event, so everything
+ * is requested synchronously before the first await. `skipDirFor(name)`
+ * resolves to the `skipDir` (see entriesFromDirectoryHandle) for the dropped
+ * folder `name`.
+ */
+export function entriesFromDataTransfer(dataTransfer, skipDirFor = async () => () => null) {
+  const items = Array.from(dataTransfer.items || []).filter((item) => item.kind === 'file');
+  const pending = items.map((item) => {
+    const entry = item.webkitGetAsEntry?.();
+    const file = item.getAsFile();
+    const handle = item.getAsFileSystemHandle?.() ?? Promise.resolve(null);
+    return handle.then(
+      (h) => ({ handle: h, entry, file }),
+      () => ({ handle: null, entry, file })
+    );
+  });
+
+  return (async () => {
+    const entries = [];
+    const directoryHandles = [];
+    for (const { handle, entry, file } of await Promise.all(pending)) {
+      if (handle?.kind === 'directory') {
+        directoryHandles.push(handle);
+        const skipDir = await skipDirFor(handle.name);
+        entries.push(...(await entriesFromDirectoryHandle(handle, handle.name, skipDir)));
+      } else if (handle) {
+        entries.push({ file: await handle.getFile(), path: handle.name });
+      } else if (entry?.isDirectory) {
+        const skipDir = await skipDirFor(entry.name);
+        entries.push(...(await entriesFromFileSystemEntry(entry, entry.name, skipDir)));
+      } else if (entry || file) {
+        const f = entry ? await new Promise((res, rej) => entry.file(res, rej)) : file;
+        entries.push({ file: f, path: f.name });
+      }
+    }
+    return { entries, directoryHandles };
+  })();
+}
+
+/**
+ * Recursively read a directory entry from webkitGetAsEntry(), skipping folders
+ * as entriesFromDirectoryHandle does.
+ */
+async function entriesFromFileSystemEntry(dirEntry, prefix, skipDir) {
+  const reader = dirEntry.createReader();
+  const children = [];
+  // readEntries returns results in batches until it yields an empty one
+  for (;;) {
+    const batch = await new Promise((res, rej) => reader.readEntries(res, rej));
+    if (!batch.length) break;
+    children.push(...batch);
+  }
+
+  const entries = [];
+  for (const child of children) {
+    const path = `${prefix}/${child.name}`;
+    const skipped = child.isDirectory && skipDir(path);
+    if (skipped) {
+      entries.push({ path, skipped });
+    } else if (child.isDirectory) {
+      entries.push(...(await entriesFromFileSystemEntry(child, path, skipDir)));
+    } else {
+      const file = await new Promise((res, rej) => child.file(res, rej));
+      entries.push({ file, path });
+    }
+  }
+  return entries;
+}
@@ -6,19 +6,30 @@
  *   - fileContents: store actual text of files keyed by path.
  */
 import { actions } from './actions.js';
-import { loadAllMetadata, saveAllMetadata, loadAllContents } from './helpers.js';
+import { loadAllMetadata, saveAllMetadata, loadAllContents, createWorkspace } from './helpers.js';
+import { DEFAULT_PROMPT } from './prompts.js';
 
 /**
  * A standard initial in-memory layout.
  */
 const initialState = {
-  root: null,
+  root: null,         // workspace node whose children are the root folders
+  directoryHandles: {}, // root name -> FileSystemDirectoryHandle, for folders that have one
   selectedPaths: new Set(),
   fileContents: {},   // in-memory cache
   expandedNodes: new Set(),
+  outlineAll: false,  // outline mode for every file that can be outlined (see outline.js)
+  lineNumbers: false, // prefix each line of the documents with its original line number
+  outputFormat: 'xml', // how the prompt is written (see formats.js)
+  outputTemplate: null, // the user's template for the 'custom' format, null for the default
+  prompt: DEFAULT_PROMPT, // preamble and postamble around the output (see prompts.js)
+  documentOrder: 'tree', // order of the files in the prompt (see ordering.js)
+  manualOrder: [],    // selected paths as arranged by hand, for the 'manual' order
+  partBudget: 0,      // tokens per part of the output (see parts.js), 0 for one output
   stats: {
     selectedCount: 0,
-    totalTokens: 0,
+    documentTokens: 0, // the selected files' contents
+    totalTokens: 0,    // ... and the expanded preamble and postamble
   },
 };
 
@@ -32,6 +43,7 @@ export class Store {
    */
   constructor() {
     this.state = null; // Will be loaded asynchronously
+    this._queue = Promise.resolve(); // dispatches run one after another
   }
 
   static async getInstance() {
@@ -50,7 +62,17 @@ export class Store {
       ...loadedMeta,
       selectedPaths: new Set(loadedMeta.selectedPaths || []),
       expandedNodes: new Set(loadedMeta.expandedNodes || []),
+      // Handles survive in IndexedDB, so a reopened session can reconnect to the folders
+      directoryHandles: loadedMeta.directoryHandles || {},
     };
+    // Older sessions stored a single root folder
+    if (mergedState.root && !mergedState.root.isWorkspace) {
+      if (loadedMeta.directoryHandle) {
+        mergedState.directoryHandles = { [mergedState.root.name]: loadedMeta.directoryHandle };
+      }
+      mergedState.root = createWorkspace([mergedState.root]);
+    }
+    delete mergedState.directoryHandle;
     // 2) Load file contents for selected paths
     const contents = await loadAllContents(mergedState.selectedPaths);
 
@@ -69,8 +91,15 @@ export class Store {
   /**
    * The "dispatch" method: it takes an async action function that modifies
    * a draft of state, then we freeze & store it.
+   * Dispatches are queued so that concurrent ones never work on a stale draft.
    */
-  async dispatch(actionFn) {
+  dispatch(actionFn) {
+    const run = this._queue.then(() => this._apply(actionFn));
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _apply(actionFn) {
     const draft = structuredClone(this.state);
     await actionFn(draft);
     const nextState = Object.freeze(draft);
@@ -0,0 +1,55 @@
+/**
+ * template-editor.js
+ *
+ * The "Edit template" dialog of the custom output format: a folder template,
+ * a document template and the separator between blocks, with the placeholders
+ * listed in formats.js. The template is saved with the project state.
+ */
+import { actions } from './actions.js';
+import { DEFAULT_TEMPLATE } from './formats.js';
+
+export class TemplateEditor {
+  constructor(store) {
+    this.store = store;
+    this.dialog = document.getElementById('templateDialog');
+    this.folder = document.getElementById('templateFolder');
+    this.document = document.getElementById('templateDocument');
+    this.separator = document.getElementById('templateSeparator');
+
+    document.getElementById('editTemplateBtn').addEventListener('click', () => {
+      this.open();
+    });
+    document.getElementById('templateSaveButton').addEventListener('click', () => {
+      this.save();
+    });
+    document.getElementById('templateCancelButton').addEventListener('click', () => {
+      this.dialog.close();
+    });
+    document.getElementById('templateResetButton').addEventListener('click', () => {
+      this.render(DEFAULT_TEMPLATE);
+    });
+  }
+
+  open() {
+    this.render({ ...DEFAULT_TEMPLATE, ...this.store.getState().outputTemplate });
+    this.dialog.showModal();
+  }
+
+  render({ folder, document, separator }) {
+    this.folder.value = folder;
+    this.document.value = document;
+    // The separator is usually only line breaks, which a one-line input can't show
+    this.separator.value = separator.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+  }
+
+  async save() {
+    const template = {
+      folder: this.folder.value,
+      document: this.document.value,
+      separator: this.separator.value.replace(/\\([\\nt])/g, (_, ch) => ({ n: '\n', t: '\t' })[ch] || ch),
+    };
+    const isDefault = Object.keys(DEFAULT_TEMPLATE).every((key) => template[key] === DEFAULT_TEMPLATE[key]);
+    await this.store.dispatch(actions.setOutputTemplate(isDefault ? null : template));
+    this.dialog.close();
+  }
+}
@@ -1,3 +1,9 @@
+import { ENCODINGS } from './encoding.js';
+import { formatSize } from './helpers.js';
+import { getParser } from './parsers.js';
+import { estimateImageTokens } from './images.js';
+import { outlineLanguage } from './outline.js';
+
 class TreeView extends HTMLElement {
   constructor() {
     super();
@@ -12,6 +18,7 @@ class TreeView extends HTMLElement {
     this._data = null;
     this._selectedPaths = new Set();
     this._expandedPaths = new Set();
+    this._outlineAll = false;
     this._focusedPath = null;
     this._searchString = '';
     this._searchTimeout = null;
@@ -40,6 +47,11 @@ class TreeView extends HTMLElement {
           overflow-y: auto;
           overflow-x: hidden;
         }
+        :host(.drag-over) {
+          outline: 2px dashed #2563eb;
+          outline-offset: -4px;
+          background-color: #eff6ff;
+        }
         .upload-message {
           text-align: center;
           color: #6b7280;
@@ -89,6 +101,123 @@ class TreeView extends HTMLElement {
         .node-content[aria-selected="true"] {
           background-color: #e8f0fe;
         }
+        .node-content.ignored {
+          opacity: 0.55;
+        }
+        .node-content.generated {
+          color: #6b7280;
+        }
+        .node-content.removed {
+          text-decoration: line-through;
+          opacity: 0.55;
+        }
+        .change-badge {
+          margin-left: 8px;
+          padding: 0 4px;
+          border-radius: 3px;
+          font-size: 0.75em;
+          font-weight: 600;
+          color: white;
+        }
+        .change-badge.added {
+          background-color: #16a34a;
+        }
+        .change-badge.modified {
+          background-color: #d97706;
+        }
+        .change-badge.removed {
+          background-color: #dc2626;
+        }
+        .root-node {
+          font-weight: 600;
+        }
+        .root-remove {
+          margin-left: auto;
+          border: none;
+          background: none;
+          color: #6b7280;
+          cursor: pointer;
+          font-size: 1.1em;
+          visibility: hidden;
+        }
+        .root-node:hover .root-remove,
+        .root-node:focus .root-remove {
+          visibility: visible;
+        }
+        .root-remove:hover {
+          color: #dc2626;
+        }
+        .size-badge {
+          margin-left: 8px;
+          padding: 0 4px;
+          border-radius: 3px;
+          font-size: 0.75em;
+          color: #92400e;
+          background-color: #fef3c7;
+          white-space: nowrap;
+        }
+        .image-badge {
+          color: #1e40af;
+          background-color: #dbeafe;
+        }
+        .encoding-badge {
+          margin-left: 8px;
+          padding: 0 4px;
+          border: 1px solid #d1d5db;
+          border-radius: 3px;
+          font-size: 0.75em;
+          color: #4b5563;
+          background: none;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+        .encoding-badge.utf-8:not(.overridden),
+        .encoding-badge.all-pages,
+        .encoding-badge.follows-global {
+          visibility: hidden;
+        }
+        .node-content:hover .encoding-badge,
+        .node-content:focus .encoding-badge {
+          visibility: visible;
+        }
+        .encoding-badge.overridden {
+          border-color: #2563eb;
+          color: #2563eb;
+        }
+        .node-content.parse-failed {
+          color: #b91c1c;
+        }
+        .parse-badge {
+          margin-left: 8px;
+          padding: 0 4px;
+          border: 1px solid #fca5a5;
+          border-radius: 3px;
+          font-size: 0.75em;
+          color: #b91c1c;
+          background: none;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+        .parse-badge.overridden {
+          border-color: #2563eb;
+          color: #2563eb;
+        }
+        .encoding-select,
+        .pages-input {
+          margin-left: 8px;
+          font-size: 0.75em;
+        }
+        .pages-input {
+          width: 8em;
+        }
+        .node-note {
+          margin-left: 8px;
+          font-size: 0.8em;
+          color: #6b7280;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
       `;
     this.shadowRoot.appendChild(style);
 
@@ -120,6 +249,18 @@ class TreeView extends HTMLElement {
     this._render();
   }
 
+  // Whether files without a mode of their own are outlined
+  get outlineAll() {
+    return this._outlineAll;
+  }
+
+  set outlineAll(value) {
+    // Set on every store update: only a change is worth a new render
+    if (this._outlineAll === Boolean(value)) return;
+    this._outlineAll = Boolean(value);
+    this._render();
+  }
+
   get expandedPaths() {
     return this._expandedPaths;
   }
@@ -131,14 +272,19 @@ class TreeView extends HTMLElement {
 
   // Main render method
   _render() {
-    if (!this._data) {
+    if (!this._data || (this._data.isWorkspace && !this._data.children.length)) {
       this._container.innerHTML =
-        '<div class="upload-message">Select a directory to view its contents</div>';
+        '<div class="upload-message">Select a directory, or drop folders and files here, to view their contents</div>';
       return;
     }
 
     const fragment = document.createDocumentFragment();
-    this._renderNode(this._data, 0, fragment);
+    if (this._data.isWorkspace) {
+      // The workspace itself isn't shown: its root folders are the top level
+      this._data.children.forEach((root) => this._renderNode(root, 0, fragment));
+    } else {
+      this._renderNode(this._data, 0, fragment);
+    }
 
     // Clear and update container
     this._container.innerHTML = '';
@@ -180,7 +326,24 @@ class TreeView extends HTMLElement {
     // Add icon
     const icon = document.createElement('span');
     icon.className = 'folder-icon';
-    icon.textContent = node.isDir ? (isExpanded ? '📂' : '📁') : node.isTextFile ? '📄' : '📦';
+    if (node.ignoredBy) {
+      icon.textContent = '🚫';
+    } else if (node.parseError) {
+      icon.textContent = '⚠️';
+      icon.title = `Could not be parsed: ${node.parseError}`;
+    } else if (node.generated) {
+      icon.textContent = '🤖';
+      icon.title = `Generated (${node.generated}): left out of Select All`;
+      contentDiv.classList.add('generated');
+    } else if (node.image) {
+      icon.textContent = '🖼️';
+    } else if (node.isArchive) {
+      icon.textContent = '🗜️';
+    } else if (node.hasParts && getParser(node.parser)?.icon) {
+      icon.textContent = getParser(node.parser).icon;
+    } else {
+      icon.textContent = node.isDir ? (isExpanded ? '📂' : '📁') : node.isTextFile ? '📄' : '📦';
+    }
     contentDiv.appendChild(icon);
 
     // Add name and size
@@ -188,6 +351,135 @@ class TreeView extends HTMLElement {
     nameSpan.textContent = node.name + (node.size ? ` (${this._formatSize(node.size)})` : '');
     contentDiv.appendChild(nameSpan);
 
+    // Badge what changed since the previous scan
+    if (node.change) {
+      const badge = document.createElement('span');
+      badge.className = `change-badge ${node.change}`;
+      badge.textContent = { added: 'A', modified: 'M', removed: 'D' }[node.change];
+      badge.title = node.change;
+      contentDiv.appendChild(badge);
+      if (node.change === 'removed') contentDiv.classList.add('removed');
+    }
+
+    // Flag files over the size limit that only go into the output in part
+    if (node.truncate) {
+      const { policy, lines, maxBytes } = node.truncate;
+      const kept = {
+        head: `first ${lines} lines`,
+        tail: `last ${lines} lines`,
+        'head-tail': `first and last ${lines} lines`,
+      }[policy];
+      const badge = document.createElement('span');
+      badge.className = 'size-badge';
+      badge.textContent = `✂ ${policy}`;
+      const cap = maxBytes ? `, up to ${formatSize(maxBytes)},` : '';
+      badge.title = `Over the size limit: only the ${kept}${cap} are included`;
+      contentDiv.appendChild(badge);
+    }
+
+    // What an image costs to include, at the size it's sent with
+    if (node.image) {
+      const { width, height } = node.image;
+      const badge = document.createElement('span');
+      badge.className = 'size-badge image-badge';
+      badge.textContent = `≈${estimateImageTokens(node.image, node.parseOptions?.maxDimension)} tokens`;
+      badge.title = width && height ? `${width}×${height} px` : 'Size unknown';
+      contentDiv.appendChild(badge);
+    }
+
+    // The charset the file is decoded with; click to pick another one
+    if (!node.isDir && node.encoding) {
+      const encoding = node.encodingOverride || node.encoding;
+      const badge = document.createElement('button');
+      badge.className = `encoding-badge ${encoding}`;
+      badge.classList.toggle('overridden', Boolean(node.encodingOverride));
+      badge.textContent = encoding;
+      badge.title = node.encodingOverride
+        ? `Decoded as ${encoding} (detected: ${node.encoding}). Click to change.`
+        : `Detected encoding: ${encoding}. Click to change.`;
+      badge.tabIndex = -1;
+      contentDiv.appendChild(badge);
+    }
+
+    // Source files can go in as outlines; click to switch this file's mode
+    if (!node.isDir && node.isTextFile && !node.parser && outlineLanguage(node.name)) {
+      const outlined = node.outline ?? this._outlineAll;
+      const badge = document.createElement('button');
+      badge.className = 'encoding-badge outline-badge';
+      badge.classList.toggle('overridden', node.outline !== undefined);
+      badge.classList.toggle('follows-global', node.outline === undefined);
+      badge.textContent = outlined ? 'outline' : 'full';
+      badge.title = outlined
+        ? 'Included as an outline (signatures only). Click to include in full.'
+        : 'Included in full. Click to include only its outline.';
+      badge.tabIndex = -1;
+      contentDiv.appendChild(badge);
+    }
+
+    // PDFs can be narrowed down to a page range
+    if (!node.isDir && node.isTextFile && node.parser === 'pdf') {
+      const badge = document.createElement('button');
+      badge.className = 'encoding-badge pages-badge';
+      badge.classList.toggle('overridden', Boolean(node.pageRange));
+      badge.classList.toggle('all-pages', !node.pageRange);
+      badge.textContent = node.pageRange ? `pages ${node.pageRange}` : 'all pages';
+      badge.title = 'Click to include only some pages, e.g. "3-5, 10"';
+      badge.tabIndex = -1;
+      contentDiv.appendChild(badge);
+    }
+
+    // Files that failed to parse can be retried, or read as plain text instead
+    if (node.parseError) {
+      contentDiv.classList.add('parse-failed');
+      contentDiv.title = `Could not be parsed: ${node.parseError}`;
+      const retry = document.createElement('button');
+      retry.className = 'parse-badge';
+      retry.dataset.raw = node.rawText ? 'true' : 'false';
+      retry.textContent = 'retry';
+      retry.title = 'Try reading this file again';
+      retry.tabIndex = -1;
+      contentDiv.appendChild(retry);
+      // A file that couldn't be read at all has no text to fall back on
+      if (!node.rawText && node.isTextFile) {
+        const raw = document.createElement('button');
+        raw.className = 'parse-badge';
+        raw.dataset.raw = 'true';
+        raw.textContent = 'raw text';
+        raw.title = 'Include the file as plain text, without parsing it';
+        raw.tabIndex = -1;
+        contentDiv.appendChild(raw);
+      }
+    } else if (node.rawText) {
+      const badge = document.createElement('button');
+      badge.className = 'parse-badge overridden';
+      badge.dataset.raw = 'false';
+      badge.textContent = 'raw text';
+      badge.title = 'Read as plain text. Click to parse it again instead.';
+      badge.tabIndex = -1;
+      contentDiv.appendChild(badge);
+    }
+
+    // Show which ignore rule excluded this path
+    if (node.ignoredBy) {
+      contentDiv.classList.add('ignored');
+      contentDiv.title = `Ignored by ${node.ignoredBy}`;
+      const note = document.createElement('span');
+      note.className = 'node-note';
+      note.textContent = `ignored by ${node.ignoredBy}`;
+      contentDiv.appendChild(note);
+    }
+
+    // Root folders of a workspace can be removed on their own
+    if (level === 0 && this._data.isWorkspace) {
+      contentDiv.classList.add('root-node');
+      const remove = document.createElement('button');
+      remove.className = 'root-remove';
+      remove.textContent = '×';
+      remove.title = `Remove ${node.name} from the workspace`;
+      remove.tabIndex = -1;
+      contentDiv.appendChild(remove);
+    }
+
     nodeDiv.appendChild(contentDiv);
 
     // Render children if expanded directory
@@ -225,6 +517,61 @@ class TreeView extends HTMLElement {
     const node = this._findNodeByPath(path);
     if (!node) return;
 
+    if (event.target.closest('.root-remove')) {
+      event.stopPropagation();
+      this.dispatchEvent(
+        new CustomEvent('root-remove', {
+          detail: { path },
+          bubbles: true,
+          composed: true,
+        })
+      );
+      return;
+    }
+
+    if (event.target.closest('.encoding-select, .pages-input')) {
+      event.stopPropagation();
+      return;
+    }
+
+    if (event.target.closest('.parse-badge')) {
+      event.stopPropagation();
+      this.dispatchEvent(
+        new CustomEvent('parse-retry', {
+          detail: { path, raw: event.target.closest('.parse-badge').dataset.raw === 'true' },
+          bubbles: true,
+          composed: true,
+        })
+      );
+      return;
+    }
+
+    if (event.target.closest('.outline-badge')) {
+      event.stopPropagation();
+      const outline = !(node.outline ?? this._outlineAll);
+      this.dispatchEvent(
+        new CustomEvent('outline-change', {
+          // Back to following the global mode when that gives the same result
+          detail: { path, outline: outline === this._outlineAll ? null : outline },
+          bubbles: true,
+          composed: true,
+        })
+      );
+      return;
+    }
+
+    if (event.target.closest('.pages-badge')) {
+      event.stopPropagation();
+      this._showPagesInput(event.target.closest('.pages-badge'), node);
+      return;
+    }
+
+    if (event.target.closest('.encoding-badge')) {
+      event.stopPropagation();
+      this._showEncodingSelect(event.target.closest('.encoding-badge'), node);
+      return;
+    }
+
     if (event.target.type === 'checkbox') {
       this._handleCheckboxClick(event, node);
     } else if (node.isDir) {
@@ -232,6 +579,55 @@ class TreeView extends HTMLElement {
     }
   }
 
+  // Swap an encoding badge for a <select> of encodings
+  _showEncodingSelect(badge, node) {
+    const select = document.createElement('select');
+    select.className = 'encoding-select';
+    select.appendChild(new Option(`auto (${node.encoding})`, ''));
+    for (const encoding of ENCODINGS) {
+      select.appendChild(new Option(encoding, encoding));
+    }
+    select.value = node.encodingOverride || '';
+    select.addEventListener('change', () => {
+      this.dispatchEvent(
+        new CustomEvent('encoding-change', {
+          detail: { path: node.path, encoding: select.value || null },
+          bubbles: true,
+          composed: true,
+        })
+      );
+    });
+    select.addEventListener('blur', () => this._render());
+    badge.replaceWith(select);
+    select.focus();
+  }
+
+  // Swap a page-range badge for a text input; Enter applies, Escape cancels
+  _showPagesInput(badge, node) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'pages-input';
+    input.placeholder = 'all pages';
+    input.value = node.pageRange || '';
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.dispatchEvent(
+          new CustomEvent('page-range-change', {
+            detail: { path: node.path, range: input.value },
+            bubbles: true,
+            composed: true,
+          })
+        );
+        this._render();
+      } else if (e.key === 'Escape') {
+        this._render();
+      }
+    });
+    input.addEventListener('blur', () => this._render());
+    badge.replaceWith(input);
+    input.focus();
+  }
+
   // Helper to find node by path
   _findNodeByPath(path) {
     let result = null;
@@ -373,6 +769,8 @@ class TreeView extends HTMLElement {
 
   // Add new keyboard handler
   _handleKeyDown(event) {
+    // Keys typed into the encoding / page-range pickers are their own
+    if (event.target.closest?.('.encoding-select, .pages-input')) return;
     const focused = this._findNodeByPath(this._focusedPath);
     if (!focused) return;
 
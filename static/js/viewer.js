@@ -10,15 +10,58 @@
  */
 
 import { actions } from './actions.js';
-import { isSpreadsheet, parseSpreadsheetFile, isPDF, parsePDFFile } from './indexing.js';
-import { isTextLikely } from './helpers.js';
+import {
+  walkTree,
+  insertNode,
+  formatSize,
+  mergeTrees,
+  findRoot,
+  findNode,
+  uniqueRootName,
+  contentsDB,
+} from './helpers.js';
+import { WorkerPool } from './worker-pool.js';
+import { ContentLoader } from './content-loader.js';
+import { indexFiles, canReuseHash, needsHash, diffTrees, clearChanges } from './rescan.js';
+import { GitignoreMatcher, formatRule } from './gitignore.js';
+import { loadRules, createRuleSet } from './rules.js';
+import { isArchive, expandArchive } from './archive.js';
+import { prepareDocuments } from './documents.js';
+import { renderOutput, selectedFolders } from './formats.js';
+import { renderParts } from './parts.js';
+import { expandPrompt, promptVariables } from './prompts.js';
+import { isImage } from './images.js';
+import { parsePageRange } from './indexing.js';
+import {
+  supportsDirectoryPicker,
+  entriesFromFileList,
+  entriesFromDirectoryHandle,
+  entriesFromDataTransfer,
+  pickDirectory,
+  verifyPermission,
+} from './sources.js';
 
 // We import our web component (tree-view.js) in index.html or main.js, so we can also import here if needed:
 import './tree-view.js';
 
+// Root folder name for dropped loose files or several dropped items
+const DROP_ROOT_NAME = 'Dropped files';
+
 export class FileTreeViewer {
   constructor(store) {
     this.store = store;
+    // Text detection and parsing run in background workers
+    this.pool = new WorkerPool(new URL('./parse-worker.js', import.meta.url), {
+      onFallback: (reason) => {
+        const why = reason ? ` (${reason})` : '';
+        this.showStatus(`Parse workers failed to start${why}; parsing on the main thread instead.`);
+      },
+    });
+    this.scanController = null;
+    // File contents are read lazily, when paths get selected
+    this.loader = new ContentLoader(store, this.pool, {
+      onProgress: (progress) => this.showProgress(progress),
+    });
     // The <tree-view> custom element
     this.container = document.getElementById('fileTree');
 
@@ -27,11 +70,33 @@ export class FileTreeViewer {
       // The web component has new selectedPaths
       this.store.dispatch(async (draft) => {
         draft.selectedPaths = new Set(evt.detail.selectedPaths);
-      }).then(() => {
-        this.store.dispatch(actions.updateStats());
+      }).then(async () => {
+        await this.store.dispatch(actions.updateStats());
+        await this.loadSelectedContents();
       });
     });
 
+    this.container.addEventListener('encoding-change', (evt) => {
+      this.changeEncoding(evt.detail.path, evt.detail.encoding);
+    });
+
+    this.container.addEventListener('page-range-change', (evt) => {
+      this.changePageRange(evt.detail.path, evt.detail.range);
+    });
+
+    this.container.addEventListener('parse-retry', (evt) => {
+      this.retryParse(evt.detail.path, evt.detail.raw);
+    });
+
+    this.container.addEventListener('outline-change', async (evt) => {
+      await this.store.dispatch(actions.setOutline(evt.detail.path, evt.detail.outline));
+      await this.store.dispatch(actions.updateStats());
+    });
+
+    this.container.addEventListener('root-remove', (evt) => {
+      this.removeRoot(evt.detail.path);
+    });
+
     this.container.addEventListener('expansion-changed', (evt) => {
       this.store.dispatch(async (draft) => {
         draft.expandedNodes = new Set(evt.detail.expandedPaths);
@@ -55,98 +120,724 @@ export class FileTreeViewer {
       this.clearAll();
     });
 
+    // Full contents or outlines, for every file without a mode of its own
+    document.getElementById('contentModeSelect').addEventListener('change', async (e) => {
+      await this.store.dispatch(actions.setOutlineAll(e.target.value === 'outline'));
+      await this.store.dispatch(actions.updateStats());
+    });
+
+    // Original line numbers in front of every line
+    document.getElementById('lineNumbersToggle').addEventListener('change', async (e) => {
+      await this.store.dispatch(actions.setLineNumbers(e.target.checked));
+      await this.store.dispatch(actions.updateStats());
+    });
+
+    // XML, Markdown, JSON, plain text or the user's template
+    document.getElementById('outputFormatSelect').addEventListener('change', async (e) => {
+      await this.store.dispatch(actions.setOutputFormat(e.target.value));
+    });
+
+    // Tree order, alphabetical, by size, dependencies first or arranged by hand
+    document.getElementById('documentOrderSelect').addEventListener('change', async (e) => {
+      await this.store.dispatch(actions.setDocumentOrder(e.target.value));
+    });
+
+    // Split the output into parts of at most this many tokens (empty for one output)
+    document.getElementById('partBudgetInput').addEventListener('change', async (e) => {
+      await this.store.dispatch(actions.setPartBudget(Number(e.target.value)));
+    });
+
     // Copy selected content
     document.getElementById('copyButton').addEventListener('click', () => {
       this.copyToClipboard();
     });
 
-    // Directory input
+    // Directory input (fallback when the File System Access API is missing)
     document.getElementById('directoryInput').addEventListener('change', (e) => {
       const files = Array.from(e.target.files || []);
-      this.handleFileSelect(files);
+      this.reportScanErrors(() => this.addRoot(entriesFromFileList(files)));
       e.target.value = ''; // reset
     });
+
+    // Archives open as root folders of their own
+    document.getElementById('archiveInput').addEventListener('change', async (e) => {
+      const files = Array.from(e.target.files || []);
+      e.target.value = ''; // reset
+      for (const file of files) {
+        await this.reportScanErrors(() => this.addRoot([{ file, path: file.name }]));
+      }
+    });
+
+    // With the File System Access API, pick a folder we can re-read later
+    document.getElementById('selectDirectoryButton').addEventListener('click', (e) => {
+      if (!supportsDirectoryPicker()) return; // let the label open the <input>
+      e.preventDefault();
+      this.reportScanErrors(() => this.selectDirectory());
+    });
+    document.getElementById('refreshButton').addEventListener('click', () => {
+      this.refresh();
+    });
+    document.getElementById('scanStatusClose').addEventListener('click', () => {
+      this.showStatus(null);
+    });
+    document.getElementById('cancelScanButton').addEventListener('click', () => {
+      this.cancelScan();
+      this.showStatus('Scan cancelled.');
+    });
+
+    // Folders and loose files can be dropped onto the tree
+    this.container.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer?.types.includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      this.container.classList.add('drag-over');
+    });
+    this.container.addEventListener('dragleave', () => {
+      this.container.classList.remove('drag-over');
+    });
+    this.container.addEventListener('drop', (e) => {
+      if (!e.dataTransfer?.types.includes('Files')) return;
+      e.preventDefault();
+      this.container.classList.remove('drag-over');
+      this.reportScanErrors(() => this.handleDrop(e.dataTransfer));
+    });
+  }
+
+  /**
+   * Ingest dropped folders/files. With a workspace already loaded, the user can
+   * merge them into one of its root folders, add them as a new root, or replace
+   * the whole workspace.
+   */
+  async handleDrop(dataTransfer) {
+    // Must start synchronously, while the drop event's data is still readable
+    const dropped = entriesFromDataTransfer(dataTransfer, (name) => this.excludedDirs(name));
+    const { root } = this.store.getState();
+    const { mode, target } = root ? await this.askDropMode(root) : { mode: 'add' };
+    const { entries, directoryHandles } = await dropped;
+    if (mode === 'cancel' || !entries.length) return;
+
+    if (mode === 'merge') {
+      const merged = entries.map(({ path, ...entry }) => ({ ...entry, path: `${target}/${path}` }));
+      await this.handleFileSelect(merged, null, { merge: true });
+      return;
+    }
+
+    if (mode === 'replace') {
+      await this.clearAll();
+    }
+
+    // A single dropped folder or archive becomes a root of its own; anything else is grouped
+    const topLevel = new Set(entries.map(({ path }) => path.split('/')[0]));
+    const singleFolder = topLevel.size === 1 && entries.every(({ path }) => path.includes('/'));
+    const singleArchive = entries.length === 1 && isArchive(entries[0].file?.name);
+    if (singleFolder || singleArchive) {
+      const handle = directoryHandles.length === 1 ? directoryHandles[0] : null;
+      await this.addRoot(entries, handle, { rescanSameName: false });
+    } else {
+      const grouped = entries.map(({ path, ...entry }) => ({
+        ...entry,
+        path: `${DROP_ROOT_NAME}/${path}`,
+      }));
+      await this.addRoot(grouped, null, { rescanSameName: false });
+    }
+  }
+
+  /**
+   * Ask what to do with dropped items. Resolves to { mode, target } where mode is
+   * 'merge' (into the root folder `target`), 'add', 'replace' or 'cancel'.
+   */
+  askDropMode(workspace) {
+    const dialog = document.getElementById('dropDialog');
+    const select = document.getElementById('dropDialogTarget');
+    select.innerHTML = '';
+    for (const root of workspace.children) {
+      select.appendChild(new Option(`Merge into “${root.name}”`, root.name));
+    }
+    select.appendChild(new Option('Add as a new root folder', ''));
+    dialog.returnValue = 'cancel';
+    dialog.showModal();
+    return new Promise((resolve) => {
+      dialog.addEventListener(
+        'close',
+        () => {
+          const action = dialog.returnValue || 'cancel';
+          if (action === 'add' && select.value) {
+            resolve({ mode: 'merge', target: select.value });
+          } else {
+            resolve({ mode: action });
+          }
+        },
+        { once: true }
+      );
+    });
+  }
+
+  /**
+   * Scan `entries` (paths starting with the folder name) as a root folder of the
+   * workspace. If a root with that name exists and is the same folder, it is
+   * rescanned; a different folder gets a unique name like "app (2)".
+   * Without directory handles we can't compare folders: `rescanSameName`
+   * decides (true when re-selecting through the <input>).
+   */
+  async addRoot(entries, handle = null, { rescanSameName = true } = {}) {
+    if (!entries.length) return;
+    const { root: workspace, directoryHandles } = this.store.getState();
+    const name = entries[0].path.split('/')[0];
+    if (findRoot(workspace, name)) {
+      const existingHandle = directoryHandles[name];
+      const sameFolder =
+        handle && existingHandle ? await handle.isSameEntry(existingHandle) : rescanSameName;
+      if (!sameFolder) {
+        const unique = uniqueRootName(workspace, name);
+        entries = entries.map(({ path, ...entry }) => ({
+          ...entry,
+          path: unique + path.slice(name.length),
+        }));
+      }
+    }
+    await this.handleFileSelect(entries, handle);
+  }
+
+  /**
+   * Remove a root folder from the workspace.
+   */
+  async removeRoot(name) {
+    if (!confirm(`Remove “${name}” from the workspace?`)) return;
+    this.loader.removeSources(name);
+    await this.store.dispatch(actions.removeRoot(name));
+    await this.store.dispatch(actions.updateStats());
+  }
+
+  /**
+   * Decode a file with another encoding (null goes back to the detected one).
+   * Its cached contents were decoded with the old one, so they are read again.
+   */
+  async changeEncoding(path, encoding) {
+    await this.store.dispatch(actions.setEncodingOverride(path, encoding));
+    await this.store.dispatch(actions.removeFileContents([path]));
+    await this.store.dispatch(actions.updateStats());
+    await this.loadSelectedContents();
+  }
+
+  /**
+   * Limit a PDF to the pages in `range` ('' for every page) and read it again.
+   */
+  async changePageRange(path, range) {
+    try {
+      parsePageRange(range);
+    } catch (err) {
+      this.showStatus(`${err.message}. Use page numbers and ranges like "3-5, 10".`);
+      return;
+    }
+    await this.store.dispatch(actions.setPageRange(path, range.trim()));
+    await this.store.dispatch(actions.removeFileContents([path]));
+    await this.store.dispatch(actions.updateStats());
+    await this.loadSelectedContents();
+  }
+
+  /**
+   * Run `task`, a scan started from the UI that nothing awaits, and put what
+   * made it fail (e.g. a folder moved away since it was picked) in the status bar.
+   */
+  async reportScanErrors(task) {
+    try {
+      await task();
+    } catch (err) {
+      this.showStatus(`Couldn't scan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Parse a file that failed again, with its parser or (`raw`) as plain text.
+   * A file that couldn't be read at scan time is read again first, and only
+   * becomes selectable once it can be.
+   */
+  async retryParse(path, raw) {
+    const state = this.store.getState();
+    if (!findNode(state.root, path)?.isTextFile) {
+      const project = path.split('/')[0];
+      const ruleSet = createRuleSet(await loadRules(project), project);
+      try {
+        const file = await this.loader.getFile(path, state);
+        if (!file) throw new Error('the file is gone');
+        const override = ruleSet.textOverride(path);
+        const detected = await this.pool.run('detect', { file, override });
+        await this.store.dispatch(actions.setDetected(path, detected));
+        this.showStatus(null);
+      } catch (err) {
+        await this.store.dispatch(actions.setParseErrors({ [path]: err?.message || String(err) }));
+        this.showStatus(`Could not read ${path}: ${err?.message || err}`);
+      }
+      return;
+    }
+    await this.store.dispatch(actions.setRawText(path, raw));
+    await this.store.dispatch(actions.removeFileContents([path]));
+    await this.store.dispatch(actions.updateStats());
+    await this.loadSelectedContents();
+  }
+
+  /**
+   * Open the directory picker, then scan the chosen folder.
+   */
+  async selectDirectory() {
+    const handle = await pickDirectory();
+    if (!handle) return;
+    const skipDir = await this.excludedDirs(handle.name);
+    await this.addRoot(await entriesFromDirectoryHandle(handle, handle.name, skipDir), handle);
+  }
+
+  /**
+   * A test for the folders of `project` its settings leave out whole, so
+   * reading a folder can skip them (see entriesFromDirectoryHandle).
+   */
+  async excludedDirs(project) {
+    const ruleSet = createRuleSet(await loadRules(project), project);
+    return (path) => ruleSet.excludedDir(path);
+  }
+
+  /**
+   * Re-read every root folder we have a handle for, asking for permission again
+   * if the browser dropped it (e.g. after a reload). A folder that can't be
+   * read any more (moved or deleted) is reported, and the others still refreshed.
+   */
+  async refresh() {
+    const { directoryHandles } = this.store.getState();
+    const failures = [];
+    for (const [name, handle] of Object.entries(directoryHandles)) {
+      try {
+        if (!(await verifyPermission(handle, true))) continue;
+        const skipDir = await this.excludedDirs(name);
+        const entries = await entriesFromDirectoryHandle(handle, name, skipDir);
+        await this.handleFileSelect(entries, handle);
+      } catch (err) {
+        failures.push(`Couldn't re-read ${name}: ${err.message}`);
+      }
+    }
+    if (failures.length) this.showStatus(failures.join(' '));
+  }
+
+  /**
+   * handleFileSelect - scans the user-chosen entries ({ file, path }) of one root folder,
+   * filters out ignored ones, figures out text vs binary, builds a root object and
+   * puts it in the workspace (replacing the root with the same name, if any).
+   * `directoryHandle` is kept so the folder can be refreshed later (null for <input> scans).
+   *
+   * Only metadata is collected here; contents are read when files get selected.
+   * Text detection runs in the worker pool; a new scan or the Cancel button
+   * aborts the running one and leaves the current tree as it is. Other errors
+   * are thrown to the caller.
+   *
+   * With `merge`, the entries (already prefixed with an existing root name) are
+   * added to that root folder instead of replacing it.
+   */
+  async handleFileSelect(entries, directoryHandle = null, { merge = false } = {}) {
+    if (!entries.length) return;
+
+    this.cancelScan();
+    const controller = new AbortController();
+    this.scanController = controller;
+
+    try {
+      await this.scanEntries(entries, directoryHandle, controller.signal, merge);
+    } catch (err) {
+      if (err.name !== 'AbortError') throw err;
+      this.showStatus('Scan cancelled.');
+    } finally {
+      if (this.scanController === controller) {
+        this.scanController = null;
+        this.showProgress(null);
+      }
+    }
   }
 
   /**
-   * handleFileSelect - scans the user-chosen files, filters out ignored ones,
-   * figures out text vs binary, builds a root object, loads file content, etc.
+   * Abort the running scan, if any.
    */
-  async handleFileSelect(files) {
-    // Filter out ignored directories/files
-    files = files.filter((file) => {
-      const parts = file.webkitRelativePath.split('/');
-      // skip if any directory is ignored
-      if (['node_modules','venv','.git','__pycache__','.idea','.vscode'].some((dir) => parts.includes(dir))) {
+  cancelScan() {
+    if (!this.scanController) return;
+    this.scanController.abort();
+    this.scanController = null;
+    this.pool.terminate();
+    this.showProgress(null);
+  }
+
+  async scanEntries(entries, directoryHandle, signal, merge = false) {
+    // Load the user's rules for this project
+    const project = entries[0].path.split('/')[0];
+    const ruleSet = createRuleSet(await loadRules(project), project);
+    signal.throwIfAborted();
+
+    // Filter out files excluded by the settings (and folders already skipped unread)
+    const ignored = new Map();
+    entries = entries.filter(({ path, skipped }) => {
+      if (skipped) {
+        ignored.set(path, { isDir: true, reason: skipped });
         return false;
       }
-      // skip if file matches an ignored filename or extension
-      if ([
-        '.DS_Store','Thumbs.db','.env','.pyc','.jpg','.jpeg','.png','.gif',
-        '.mp4','.mov','.avi','.webp','.mkv','.wmv','.flv','.svg','.zip','.tar','.gz',
-        '.rar','.exe','.bin','.iso','.dll','.psd','.ai','.eps','.tiff','.woff',
-        '.woff2','.ttf','.otf','.flac','.m4a','.aac','.mov','.3gp'
-      ].some((ignored) => {
-        if (ignored.startsWith('.')) {
-          return file.name.toLowerCase().endsWith(ignored.toLowerCase());
-        }
-        return file.name === ignored;
-      })) {
+      const result = ruleSet.matchExcluded(path);
+      if (!result.ignored) return true;
+      ignored.set(result.path, { isDir: result.isDir, reason: result.reason });
+      return false;
+    });
+
+    // Apply every .gitignore found in the scanned folder (nested ones included)
+    const matcher = await this.loadGitignores(entries);
+    if (!matcher.isEmpty) {
+      entries = entries.filter(({ path }) => {
+        if (ruleSet.isForceIncluded(path)) return true;
+        const result = matcher.match(path, false);
+        if (!result.ignored) return true;
+        ignored.set(result.path, { isDir: result.isDir, reason: formatRule(result.rule) });
+        return false;
+      });
+    }
+
+    // What to tell the user once the selected files are loaded
+    const notes = [];
+
+    // Archives become virtual folders of their contents
+    const expanded = await this.expandArchives(entries, ruleSet, ignored, notes, signal);
+    entries = expanded.entries;
+    const { archives } = expanded;
+
+    // Files over the size limit are skipped, or flagged to be truncated in the output
+    const truncations = new Map();
+    entries = entries.filter(({ file, path }) => {
+      const limit = ruleSet.sizeLimit(file.size);
+      if (!limit) return true;
+      if (limit.policy === 'skip') {
+        ignored.set(path, { isDir: false, reason: `size limit (over ${formatSize(limit.maxBytes)})` });
         return false;
       }
+      // Images have no lines to cut; downscaling keeps them small instead
+      if (isImage(path)) return true;
+      truncations.set(path, { policy: limit.policy, lines: limit.lines, maxBytes: limit.maxBytes });
       return true;
     });
 
-    if (!files.length) return;
+    // Parser settings (e.g. for notebooks) in effect for this scan
+    const parseOptions = new Map();
+    for (const { path } of entries) {
+      const options = ruleSet.parseOptions(path);
+      if (options) parseOptions.set(path, options);
+    }
+
+    // The previous scan of the same folder, to diff against
+    const previous = this.store.getState();
+    const previousRoot = findRoot(previous.root, project);
+    const isRescan = Boolean(previousRoot);
+    const previousFiles = indexFiles(previousRoot);
 
-    // Decide which are text
+    // Decide which are text: rules first, then known formats, then sniffing.
+    // Text files touched since the last scan but still the same size are hashed,
+    // to tell real edits apart.
     const fileTypeMap = new Map();
-    for (const file of files) {
-      const lower = file.name.toLowerCase();
-      if (
-        [
-          '.txt','.md','.markdown','.json','.js','.ts','.jsx','.tsx','.css','.scss','.sass',
-          '.less','.html','.htm','.xml','.yaml','.yml','.ini','.conf','.cfg','.config','.py',
-          '.rb','.php','.java','.c','.cpp','.h','.hpp','.cs','.go','.rs','.swift','.kt','.kts',
-          '.sh','.bash','.zsh','.fish','.sql','.graphql','.vue','.svelte','.astro','.env.example',
-          '.gitignore','.dockerignore','.editorconfig','.eslintrc','.prettierrc','.babelrc','LICENSE',
-          'README','CHANGELOG','TODO','.csv','.tsv'
-        ].some((ext) => lower.endsWith(ext)) ||
-        isSpreadsheet(file.name) || isPDF(file.name)
-      ) {
-        fileTypeMap.set(file.webkitRelativePath, true);
-      } else {
-        const textLikely = await isTextLikely(file);
-        fileTypeMap.set(file.webkitRelativePath, textLikely);
+    const hashes = new Map();
+    const encodings = new Map();
+    const parsers = new Map();
+    const parts = new Map();
+    const pageRanges = new Map();
+    const rawTexts = new Set();
+    const errors = new Map();
+    const generated = new Map();
+    const infos = new Map();
+    await this.runJobs('Scanning', entries, signal, async ({ file, path, extract }) => {
+      const previousNode = previousFiles.get(path);
+      // The parse-as-text fallback outlives rescans
+      if (previousNode?.rawText) rawTexts.add(path);
+      // Generated files are known by name, or else by their contents
+      const generatedBy = ruleSet.matchGenerated(path);
+      let detected;
+      try {
+        detected = await this.pool.run('detect', {
+          // Archive members are only decompressed now, one at a time
+          file: extract ? await extract() : file,
+          override: ruleSet.textOverride(path),
+          hash: canReuseHash(previousNode, file) ? previousNode.hash : null,
+          needsHash: needsHash(previousNode, file),
+          classify: ruleSet.detectGenerated && !generatedBy,
+        });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        // Keep the file in the tree with its error, so it can be retried, but not
+        // selectable until then: there is nothing to include yet
+        errors.set(path, err?.message || String(err));
+        fileTypeMap.set(path, false);
+        return;
       }
+      const { isText, encoding, parser, parts: partNames, info, hash } = detected;
+      fileTypeMap.set(path, isText);
+      if (hash) hashes.set(path, hash);
+      if (isText && (generatedBy || detected.generated)) {
+        generated.set(path, generatedBy || detected.generated);
+      }
+      // The user's encoding choice outlives rescans
+      if (encoding) encodings.set(path, { encoding, override: previousNode?.encodingOverride });
+      if (previousNode?.pageRange) pageRanges.set(path, previousNode.pageRange);
+      if (parser) parsers.set(path, parser);
+      if (partNames?.length) parts.set(path, partNames);
+      if (info) infos.set(path, info);
+    });
+
+    // Build root object (grafted onto the current tree when merging),
+    // badged against the previous scan
+    let root = this.buildFileTree(entries, {
+      fileTypeMap,
+      ignored,
+      hashes,
+      encodings,
+      archives,
+      truncations,
+      parseOptions,
+      parsers,
+      parts,
+      pageRanges,
+      rawTexts,
+      errors,
+      generated,
+      infos,
+    });
+    if (merge && previousRoot) {
+      root = mergeTrees(clearChanges(structuredClone(previousRoot)), root);
+      directoryHandle = previous.directoryHandles[project] || null;
     }
+    const changes = isRescan ? diffTrees(previousRoot, root) : null;
 
-    // Build root object
-    const root = this.buildFileTree(files, fileTypeMap);
+    // Selections that no longer point at a selectable file are dropped
+    const selectable = new Set();
+    walkTree(root, (node) => {
+      if (!node.isDir && node.isTextFile) selectable.add(node.path);
+    });
+    const lostSelections = [...previous.selectedPaths].filter(
+      (p) => p.startsWith(`${project}/`) && !selectable.has(p)
+    );
 
     // Save to store
     await this.store.dispatch(actions.setRoot(root));
+    await this.store.dispatch(actions.setDirectoryHandle(project, directoryHandle));
+    if (lostSelections.length) {
+      await this.store.dispatch(actions.bulkSelectPaths([], lostSelections));
+    }
 
-    // Then load contents
-    for (const file of files) {
-      if (!fileTypeMap.get(file.webkitRelativePath)) continue;
-      let text = '';
-      if (isSpreadsheet(file.name)) {
-        text = await parseSpreadsheetFile(file);
-      } else if (isPDF(file.name)) {
-        text = await parsePDFFile(file);
-      } else {
-        text = await file.text();
-      }
-      await this.store.dispatch(actions.setFileContents(file.webkitRelativePath, text));
+    // contentsDB is only a cache now: drop what the scan proved stale,
+    // including files whose parser settings changed since they were read
+    if (changes) {
+      const nextFiles = indexFiles(root);
+      const reparse = changes.unchanged.filter(
+        (path) =>
+          JSON.stringify(previousFiles.get(path)?.parseOptions) !==
+          JSON.stringify(nextFiles.get(path)?.parseOptions)
+      );
+      await this.store.dispatch(
+        actions.removeFileContents([...changes.removed, ...changes.modified, ...reparse])
+      );
+      const merged = merge ? { root: project, count: entries.length } : null;
+      notes.push(this.describeChanges(changes, lostSelections, merged));
+    } else {
+      const keys = await contentsDB.keys();
+      await this.store.dispatch(
+        actions.removeFileContents(keys.filter((k) => k.startsWith(`${project}/`)))
+      );
     }
 
+    // Contents are read on demand, when files get selected
+    if (merge) {
+      this.loader.addSources(entries);
+    } else {
+      this.loader.setSources(project, entries);
+    }
+    if (errors.size) {
+      notes.push(
+        `${errors.size} file(s) could not be read: ${[...errors.keys()].join(', ')}. ` +
+          'They are marked ⚠️ in the tree.'
+      );
+    }
     await this.store.dispatch(actions.updateStats());
+    await this.loadSelectedContents(notes);
+  }
+
+  /**
+   * Replace the archives among `entries` by the files they contain, prefixed with
+   * the archive's path (nested archives are expanded too). Only the listing is
+   * read: members are extracted when detected or selected. Members excluded by the
+   * settings are recorded in `ignored`; unreadable archives stay plain files, with
+   * a message in `notes`. Resolves to { entries, archives } where `archives` maps
+   * archive paths to their { size, lastModified }.
+   */
+  async expandArchives(entries, ruleSet, ignored, notes, signal, archives = new Map()) {
+    const result = [];
+    for (const entry of entries) {
+      if (!isArchive(entry.file.name)) {
+        result.push(entry);
+        continue;
+      }
+      this.showProgress({ label: 'Opening archive', done: 0, total: 1, current: entry.path });
+      let members;
+      try {
+        // A nested archive has to come out of its own to be listed
+        const file = entry.extract ? await entry.extract() : entry.file;
+        members = await expandArchive(file, entry.path, {
+          filter: (path) => {
+            const excluded = ruleSet.matchExcluded(path);
+            if (!excluded.ignored) return true;
+            ignored.set(excluded.path, { isDir: excluded.isDir, reason: excluded.reason });
+            return false;
+          },
+        });
+      } catch (err) {
+        notes.push(
+          `Could not open archive ${entry.path} (${err.message}); it is listed as a plain file.`
+        );
+        result.push(entry);
+        continue;
+      }
+      signal.throwIfAborted();
+      archives.set(entry.path, entry.file);
+      const expanded = await this.expandArchives(members, ruleSet, ignored, notes, signal, archives);
+      result.push(...expanded.entries);
+    }
+    return { entries: result, archives };
+  }
+
+  /**
+   * Read the contents of selected files that aren't in memory yet. Problems are
+   * reported in the status bar, after the messages in `notes` (if any).
+   */
+  async loadSelectedContents(notes = []) {
+    const { selectedPaths } = this.store.getState();
+    const { unavailable, failed } = await this.loader.load([...selectedPaths]);
+    const messages = [...notes];
+    if (unavailable.length) {
+      messages.push(
+        `Could not read ${unavailable.length} selected file(s). ` +
+          'Reconnect or select the folder again to load them.'
+      );
+    }
+    if (failed.length) {
+      messages.push(
+        `${failed.length} file(s) could not be parsed: ` +
+          failed.map(({ path, message }) => `${path} (${message})`).join(', ') +
+          '. Hover them in the tree to retry or include them as raw text.'
+      );
+    }
+    if (messages.length) this.showStatus(messages.join(' '));
+  }
+
+  /**
+   * Run `fn` over `entries` through the worker pool, reporting progress.
+   * The pool bounds the concurrency; rejects with an AbortError on cancel.
+   */
+  async runJobs(label, entries, signal, fn) {
+    let done = 0;
+    this.showProgress({ label, done, total: entries.length, current: '' });
+    await Promise.all(
+      entries.map(async (entry) => {
+        await fn(entry);
+        signal.throwIfAborted();
+        done++;
+        this.showProgress({ label, done, total: entries.length, current: entry.path });
+      })
+    );
+  }
+
+  /**
+   * Show scan progress ({ label, done, total, current }); null hides it.
+   */
+  showProgress(progress) {
+    const bar = document.getElementById('scanProgress');
+    bar.hidden = !progress;
+    if (!progress) return;
+    const { label, done, total, current } = progress;
+    const meter = document.getElementById('scanProgressBar');
+    meter.max = total || 1;
+    meter.value = done;
+    document.getElementById('scanProgressText').textContent =
+      `${label} ${done} / ${total}` + (current ? ` — ${current}` : '');
   }
 
-  buildFileTree(files, fileTypeMap) {
-    if (!files.length) return null;
-    const basePath = files[0].webkitRelativePath.split('/')[0];
+  /**
+   * Summarize what a rescan found, or what a merge (`merged`: { root, count } for
+   * `count` files merged into `root`) added, and which selections had to be dropped.
+   */
+  describeChanges(changes, lostSelections, merged = null) {
+    const { added, modified, removed } = changes;
+    const parts = [
+      merged
+        ? `Merged ${merged.count} file(s) into ${merged.root}` +
+          (modified.length ? `, replacing ${modified.length}.` : '.')
+        : `Rescan: ${added.length} added, ${modified.length} modified, ${removed.length} removed.`,
+    ];
+    if (lostSelections.length) {
+      parts.push(
+        `${lostSelections.length} selected file(s) no longer exist and were deselected: ` +
+          lostSelections.join(', ')
+      );
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Show a message in the status bar under the toolbar (null hides it).
+   */
+  showStatus(message) {
+    const bar = document.getElementById('scanStatus');
+    bar.hidden = !message;
+    document.getElementById('scanStatusText').textContent = message || '';
+  }
+
+  /**
+   * Collect the .gitignore files among `entries` into a single matcher.
+   */
+  async loadGitignores(entries) {
+    const matcher = new GitignoreMatcher();
+    for (const { file, path } of entries) {
+      if (file.name !== '.gitignore') continue;
+      const base = path.split('/').slice(0, -1).join('/');
+      matcher.addFile(base, await file.text(), path);
+    }
+    return matcher;
+  }
+
+  /**
+   * Build the tree from the kept files. Entries of `ignored` (path -> { isDir, reason })
+   * are added as non-selectable nodes so the tree can show why they were left out.
+   * Opened archives (path -> { size, lastModified }) become folders flagged with
+   * `isArchive`, and files over the size limit get the `truncate`
+   * ({ policy, lines, maxBytes }) of `truncations`.
+   * `encodings` maps text files to { encoding, override } (detected and user-chosen charset),
+   * `parseOptions` to the parser options their contents are to be read with.
+   * `parsers` names the parser of each file a registered parser claims. Files listed
+   * in `parts` (path -> part names, e.g. a workbook's sheets) become folders of their
+   * parts, each selectable on its own. `pageRanges` keeps the page ranges picked
+   * for PDFs across rescans, and `rawTexts` the files read as plain text instead of
+   * with their parser. Files in `errors` (path -> message) couldn't be read at all,
+   * and `generated` maps generated or minified files to why they look so. `infos`
+   * holds extra node fields from the files' parsers (e.g. an image's size).
+   */
+  buildFileTree(
+    entries,
+    {
+      fileTypeMap,
+      ignored = new Map(),
+      hashes = new Map(),
+      encodings = new Map(),
+      archives = new Map(),
+      truncations = new Map(),
+      parseOptions = new Map(),
+      parsers = new Map(),
+      parts = new Map(),
+      pageRanges = new Map(),
+      rawTexts = new Set(),
+      errors = new Map(),
+      generated = new Map(),
+      infos = new Map(),
+    }
+  ) {
+    if (!entries.length && !ignored.size && !archives.size) return null;
+    const first = entries.length
+      ? entries[0].path
+      : [...ignored.keys(), ...archives.keys()][0];
+    const basePath = first.split('/')[0];
     const root = {
       name: basePath,
       path: basePath,
@@ -154,37 +845,80 @@ export class FileTreeViewer {
       children: [],
     };
 
-    files.forEach((file) => {
-      const parts = file.webkitRelativePath.split('/');
-      let current = root;
-      parts.forEach((part, idx) => {
-        if (idx === 0) return; // skip the top-level folder
-        const pathSoFar = parts.slice(0, idx + 1).join('/');
-        if (idx === parts.length - 1) {
-          // file
-          current.children.push({
-            name: part,
-            path: pathSoFar,
+    // Archive folders first (outer before nested), so their files land inside them
+    const archivePaths = [...archives.keys()].sort(
+      (a, b) => a.split('/').length - b.split('/').length
+    );
+    for (const path of archivePaths) {
+      const { size, lastModified } = archives.get(path);
+      if (path === basePath) {
+        Object.assign(root, { isArchive: true, size, lastModified });
+        continue;
+      }
+      insertNode(root, path.split('/'), {
+        isDir: true,
+        children: [],
+        isArchive: true,
+        size,
+        lastModified,
+      });
+    }
+
+    entries.forEach(({ file, path }) => {
+      if (parts.has(path)) {
+        const container = insertNode(root, path.split('/'), {
+          isDir: true,
+          children: [],
+          parser: parsers.get(path),
+          hasParts: true,
+          size: file.size,
+          lastModified: file.lastModified,
+          hash: hashes.get(path),
+        });
+        for (const part of parts.get(path)) {
+          // Parts share the file's hash: editing the file marks them all modified
+          insertNode(root, [...path.split('/'), part.replace(/\//g, '∕')], {
             isDir: false,
-            size: file.size,
-            isTextFile: fileTypeMap.get(file.webkitRelativePath),
+            isTextFile: true,
+            part,
+            lastModified: file.lastModified,
+            hash: container.hash,
+            // The file's size limit holds for each of its parts
+            ...(truncations.has(path) ? { truncate: truncations.get(path) } : {}),
+            ...(parseOptions.has(path) ? { parseOptions: parseOptions.get(path) } : {}),
           });
-        } else {
-          // directory
-          let childDir = current.children.find((c) => c.name === part && c.isDir);
-          if (!childDir) {
-            childDir = {
-              name: part,
-              path: pathSoFar,
-              isDir: true,
-              children: [],
-            };
-            current.children.push(childDir);
-          }
-          current = childDir;
         }
+        return;
+      }
+      insertNode(root, path.split('/'), {
+        isDir: false,
+        size: file.size,
+        lastModified: file.lastModified,
+        hash: hashes.get(path),
+        isTextFile: fileTypeMap.get(path),
+        ...(parsers.has(path) ? { parser: parsers.get(path) } : {}),
+        ...(encodings.has(path) ? { encoding: encodings.get(path).encoding } : {}),
+        ...(encodings.get(path)?.override ? { encodingOverride: encodings.get(path).override } : {}),
+        ...(truncations.has(path) ? { truncate: truncations.get(path) } : {}),
+        ...(parseOptions.has(path) ? { parseOptions: parseOptions.get(path) } : {}),
+        ...(pageRanges.has(path) ? { pageRange: pageRanges.get(path) } : {}),
+        ...(rawTexts.has(path) ? { rawText: true } : {}),
+        ...(errors.has(path) ? { parseError: errors.get(path) } : {}),
+        ...(generated.has(path) ? { generated: generated.get(path) } : {}),
+        ...(infos.get(path) || {}),
       });
     });
+
+    for (const [path, { isDir, reason }] of ignored) {
+      const parts = path.split('/');
+      if (parts.length < 2) continue;
+      insertNode(root, parts, {
+        isDir,
+        ...(isDir ? { children: [] } : {}),
+        isTextFile: false,
+        ignoredBy: reason,
+      });
+    }
     return root;
   }
 
@@ -193,12 +927,15 @@ export class FileTreeViewer {
    * We pass the new data into <tree-view>.
    */
   handleStateChange(state) {
+    this.updateRefreshButton(state.directoryHandles);
+
     // If no root, do nothing
     if (!state.root) {
       this.container.data = null;
       return;
     }
     // re-bind data
+    this.container.outlineAll = state.outlineAll;
     this.container.data = state.root;
     // these can remain sets
     this.container.selectedPaths = state.selectedPaths;
@@ -208,54 +945,105 @@ export class FileTreeViewer {
     this.updateUI(state);
   }
 
+  /**
+   * Show "Refresh" for root folders we can re-read, or "Reconnect" when the
+   * browser needs the user's permission again (e.g. in a reopened session).
+   */
+  async updateRefreshButton(directoryHandles = {}) {
+    const btn = document.getElementById('refreshButton');
+    const names = Object.keys(directoryHandles);
+    if (!names.length) {
+      btn.hidden = true;
+      return;
+    }
+    let granted = true;
+    for (const handle of Object.values(directoryHandles)) {
+      granted = granted && (await verifyPermission(handle));
+    }
+    const label = names.length === 1 ? `"${names[0]}"` : `${names.length} folders`;
+    btn.hidden = false;
+    btn.textContent = granted ? '↻ Refresh' : `↻ Reconnect to ${label}`;
+    btn.title = granted ? `Re-scan ${names.join(', ')}` : 'Allow access to the last folders again';
+  }
+
   updateUI(state) {
+    document.getElementById('contentModeSelect').value = state.outlineAll ? 'outline' : 'full';
+    document.getElementById('lineNumbersToggle').checked = Boolean(state.lineNumbers);
+    document.getElementById('outputFormatSelect').value = state.outputFormat;
+    document.getElementById('editTemplateBtn').hidden = state.outputFormat !== 'custom';
+    document.getElementById('documentOrderSelect').value = state.documentOrder;
+    document.getElementById('partBudgetInput').value = state.partBudget || '';
+
     // Show stats
     document.getElementById('selectedCount').textContent = state.stats.selectedCount;
     document.getElementById('estimatedTokens').textContent = state.stats.totalTokens;
 
-    // Show the selected files in the <pre> area
-    const lines = [];
-    // Add an ASCII tree of selected only
-    lines.push(`<folder-structure>\n${this.generateAsciiTree(state.root, state.selectedPaths)}\n</folder-structure>`);
-    // Then each selected file as <document path="...">
-    for (const path of state.selectedPaths) {
-      const content = state.fileContents[path];
-      if (content) {
-        lines.push(`<document path="${path}">\n${content}\n</document>`);
+    // Show the selected files in the <pre> area: an ASCII tree of the selected files
+    // per root folder, then each file's contents, in the chosen output format,
+    // between the expanded preamble and postamble
+    const folders = selectedFolders(state);
+    const documents = prepareDocuments(state);
+    const output = renderOutput(folders, documents, state.outputFormat, state.outputTemplate);
+    const { preamble, postamble } = expandPrompt(state.prompt, promptVariables(state));
+    const content = document.getElementById('selectedFilesContent');
+    content.textContent = [preamble, output, postamble].filter(Boolean).join('\n\n');
+
+    // Over the part budget, the output is shown as parts to copy one by one
+    let parts = [];
+    let partError = null;
+    if (state.partBudget > 0) {
+      try {
+        parts = renderParts(folders, documents, state.partBudget, {
+          format: state.outputFormat,
+          template: state.outputTemplate,
+          preamble,
+          postamble,
+        });
+      } catch (err) {
+        partError = err.message;
       }
     }
-    document.getElementById('selectedFilesContent').textContent = lines.join('\n\n');
+    const split = parts.length > 1 || Boolean(partError);
+    content.hidden = split;
+    // Parts are copied one by one, with their own buttons
+    document.getElementById('copyButton').disabled = split;
+    this.showParts(parts.length > 1 ? parts : [], partError);
   }
 
   /**
-   * Simple ASCII-tree for selected items
+   * One block per part of the output, each with its token count and Copy button,
+   * or `error` when the output can't be split.
    */
-  generateAsciiTree(node, selectedPaths, prefix = '', isLast = true) {
-    const nodeSelected = selectedPaths.has(node.path);
-    const childSelected = node.children?.some(
-      (ch) => selectedPaths.has(ch.path) || (ch.isDir && this.anyChildSelected(ch, selectedPaths))
-    );
-    if (!nodeSelected && !childSelected) {
-      return '';
+  showParts(parts, error = null) {
+    const container = document.getElementById('outputParts');
+    container.hidden = !parts.length && !error;
+    container.innerHTML = '';
+    if (error) {
+      const message = document.createElement('p');
+      message.className = 'output-parts-error';
+      message.textContent = `${error}. Raise the part size, or clear it for a single output.`;
+      container.appendChild(message);
     }
-    const connector = isLast ? '└── ' : '├── ';
-    const childPrefix = isLast ? '    ' : '│   ';
-    let result = prefix + connector + node.name + '\n';
-
-    if (node.children) {
-      const visible = node.children.filter(
-        (ch) => selectedPaths.has(ch.path) || (ch.isDir && this.anyChildSelected(ch, selectedPaths))
-      );
-      visible.forEach((child, index) => {
-        const lastChild = index === visible.length - 1;
-        result += this.generateAsciiTree(child, selectedPaths, prefix + childPrefix, lastChild);
-      });
-    }
-    return result;
-  }
-  anyChildSelected(node, selectedPaths) {
-    if (!node.children) return false;
-    return node.children.some((ch) => selectedPaths.has(ch.path) || (ch.isDir && this.anyChildSelected(ch, selectedPaths)));
+    parts.forEach(({ text, tokens }, idx) => {
+      const section = document.createElement('section');
+      section.className = 'output-part';
+      const header = document.createElement('div');
+      header.className = 'output-part-header';
+      const title = document.createElement('strong');
+      title.textContent = `Part ${idx + 1} of ${parts.length}`;
+      const count = document.createElement('span');
+      count.textContent = `≈${tokens} tokens`;
+      const copy = document.createElement('button');
+      copy.className = 'button';
+      copy.textContent = 'Copy';
+      copy.addEventListener('click', () => this.copyText(text, copy));
+      header.append(title, count, copy);
+      const pre = document.createElement('pre');
+      pre.className = 'selected-files-content';
+      pre.textContent = text;
+      section.append(header, pre);
+      container.appendChild(section);
+    });
   }
 
   /**
@@ -281,17 +1069,27 @@ export class FileTreeViewer {
     await this.store.dispatch(actions.bulkSetExpanded([], pathsToCollapse));
   }
 
+  /**
+   * Select every text file, except generated ones in the root folders whose
+   * settings don't opt them in.
+   */
   async selectAll() {
     const state = this.store.getState();
     if (!state.root) return;
+    const withGenerated = new Set();
+    for (const root of state.root.children) {
+      const { generatedFiles } = await loadRules(root.name);
+      if (generatedFiles?.selectAll) withGenerated.add(root.name);
+    }
     const pathsToSelect = [];
     this.walk(state.root, (node) => {
-      if (!node.isDir && node.isTextFile) {
-        pathsToSelect.push(node.path);
-      }
+      if (node.isDir || !node.isTextFile) return;
+      if (node.generated && !withGenerated.has(node.path.split('/')[0])) return;
+      pathsToSelect.push(node.path);
     });
     await this.store.dispatch(actions.bulkSelectPaths(pathsToSelect, []));
     await this.store.dispatch(actions.updateStats());
+    await this.loadSelectedContents();
   }
 
   async deselectAll() {
@@ -308,18 +1106,30 @@ export class FileTreeViewer {
   }
 
   async clearAll() {
+    this.cancelScan();
+    this.loader.removeSources();
     await this.store.dispatch(actions.reset());
     document.getElementById('directoryInput').value = '';
+    this.updateRefreshButton({});
+    this.showStatus(null);
     // the UI will update once store triggers handleStateChange
   }
 
   async copyToClipboard() {
     const text = document.getElementById('selectedFilesContent').textContent || '';
+    await this.copyText(text, document.getElementById('copyButton'));
+  }
+
+  /**
+   * Copy `text`, and say so on `btn` for a moment.
+   */
+  async copyText(text, btn) {
     await navigator.clipboard.writeText(text);
-    const btn = document.getElementById('copyButton');
+    // Remembered once, so a second click while it says "Copied!" doesn't keep that
+    btn.dataset.label ??= btn.textContent;
     btn.textContent = 'Copied!';
     setTimeout(() => {
-      btn.textContent = 'Copy to Clipboard';
+      btn.textContent = btn.dataset.label;
     }, 1500);
   }
 
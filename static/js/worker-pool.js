@@ -0,0 +1,125 @@
+/**
+ * worker-pool.js
+ *
+ * A small pool of parse workers with bounded concurrency. Jobs are queued and
+ * handed to the next idle worker. If workers can't be started (no Worker support,
+ * blocked script), jobs run on the main thread through parse-tasks.js instead,
+ * and `onFallback` is told why.
+ */
+import { runTask } from './parse-tasks.js';
+
+function defaultPoolSize() {
+  const cores = navigator.hardwareConcurrency || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+export class WorkerPool {
+  constructor(url, { size = defaultPoolSize(), onFallback = () => {} } = {}) {
+    this.url = url;
+    this.size = size;
+    this.onFallback = onFallback;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.inline = typeof Worker === 'undefined';
+  }
+
+  /**
+   * Queue a task; resolves with its result.
+   */
+  run(task, payload) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, payload, resolve, reject });
+      this._pump();
+    });
+  }
+
+  /**
+   * Stop every worker and reject all queued and running jobs with an AbortError.
+   * The pool can be used again afterwards; workers are restarted on demand.
+   */
+  terminate() {
+    const abort = () => new DOMException('Scan cancelled', 'AbortError');
+    for (const worker of this.workers) {
+      worker.terminate();
+      worker.job?.reject(abort());
+    }
+    for (const job of this.queue) {
+      job.reject(abort());
+    }
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+  }
+
+  _pump() {
+    while (this.queue.length) {
+      if (this.inline) {
+        this._runInline(this.queue.shift());
+        continue;
+      }
+      const worker = this._acquire();
+      if (!worker) return;
+      const job = this.queue.shift();
+      job.id = this.nextId++;
+      worker.job = job;
+      worker.postMessage({ id: job.id, task: job.task, payload: job.payload });
+    }
+  }
+
+  _acquire() {
+    if (this.idle.length) return this.idle.pop();
+    if (this.workers.length >= this.size) return null;
+    try {
+      return this._spawn();
+    } catch (err) {
+      this._fallBack(err.message);
+      return null;
+    }
+  }
+
+  _spawn() {
+    const worker = new Worker(this.url);
+    worker.addEventListener('message', (event) => {
+      const { id, result, error } = event.data || {};
+      const job = worker.job;
+      if (!id || !job || job.id !== id) return;
+      worker.job = null;
+      this.idle.push(worker);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+      this._pump();
+    });
+    worker.addEventListener('error', (event) => {
+      // The worker script itself failed (e.g. blocked or offline CDN):
+      // fall back to the main thread for this and every later job.
+      event.preventDefault();
+      this._fallBack(event.message);
+      worker.terminate();
+      this.workers = this.workers.filter((w) => w !== worker);
+      this.idle = this.idle.filter((w) => w !== worker);
+      if (worker.job) {
+        this._runInline(worker.job);
+        worker.job = null;
+      }
+      this._pump();
+    });
+    this.workers.push(worker);
+    return worker;
+  }
+
+  // Parse on the main thread from now on, and say so once
+  _fallBack(reason) {
+    if (this.inline) return;
+    this.inline = true;
+    this.onFallback(reason);
+  }
+
+  _runInline(job) {
+    runTask(job.task, job.payload).then(job.resolve, job.reject);
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * xml.js
+ *
+ * A small, forgiving XML parser for the document formats in indexing.js.
+ * DOMParser isn't available inside Web Workers, where parsing runs, so this
+ * builds a plain tree instead: { name, attrs, children } for elements and
+ * strings for text. Comments, processing instructions and the doctype are
+ * dropped; namespaces are kept as prefixes ("w:p").
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[ref] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const re = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = re.exec(source))) {
+    attrs[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attrs;
+}
+
+/**
+ * Parse `text` into a document node: { name: '#document', children }.
+ */
+export function parseXml(text) {
+  const root = { name: '#document', attrs: {}, children: [] };
+  const stack = [root];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const lt = text.indexOf('<', pos);
+    const end = lt === -1 ? text.length : lt;
+    if (end > pos) {
+      stack[stack.length - 1].children.push(decodeEntities(text.slice(pos, end)));
+    }
+    if (lt === -1) break;
+
+    if (text.startsWith('<!--', lt)) {
+      pos = skipPast(text, '-->', lt);
+    } else if (text.startsWith('<![CDATA[', lt)) {
+      const close = text.indexOf(']]>', lt);
+      const stop = close === -1 ? text.length : close;
+      stack[stack.length - 1].children.push(text.slice(lt + 9, stop));
+      pos = stop + 3;
+    } else if (text[lt + 1] === '?' || text[lt + 1] === '!') {
+      pos = skipPast(text, '>', lt);
+    } else if (text[lt + 1] === '/') {
+      const gt = text.indexOf('>', lt);
+      const name = text.slice(lt + 2, gt === -1 ? text.length : gt).trim();
+      // Pop up to the matching element; unmatched end tags are ignored
+      const idx = stack.map((node) => node.name).lastIndexOf(name);
+      if (idx > 0) stack.length = idx;
+      pos = gt === -1 ? text.length : gt + 1;
+    } else {
+      const gt = findTagEnd(text, lt);
+      const selfClosing = text[gt - 1] === '/';
+      const source = text.slice(lt + 1, selfClosing ? gt - 1 : gt);
+      const space = source.search(/\s/);
+      const name = space === -1 ? source : source.slice(0, space);
+      const node = {
+        name,
+        attrs: space === -1 ? {} : parseAttributes(source.slice(space)),
+        children: [],
+      };
+      stack[stack.length - 1].children.push(node);
+      if (!selfClosing) stack.push(node);
+      pos = gt + 1;
+    }
+  }
+  return root;
+}
+
+function skipPast(text, marker, from) {
+  const idx = text.indexOf(marker, from);
+  return idx === -1 ? text.length : idx + marker.length;
+}
+
+// The ">" closing a start tag, skipping any inside quoted attribute values
+function findTagEnd(text, from) {
+  let quote = null;
+  for (let i = from + 1; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Child elements of `node` named `name` (all child elements when omitted).
+ */
+export function childElements(node, name) {
+  return (node?.children || []).filter(
+    (child) => typeof child !== 'string' && (!name || child.name === name)
+  );
+}
+
+/**
+ * The first descendant of `node` named `name`, depth-first, or null.
+ */
+export function findElement(node, name) {
+  for (const child of childElements(node)) {
+    if (child.name === name) return child;
+    const found = findElement(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Every descendant of `node` named `name`, in document order.
+ */
+export function findElements(node, name, out = []) {
+  for (const child of childElements(node)) {
+    if (child.name === name) out.push(child);
+    findElements(child, name, out);
+  }
+  return out;
+}